@@ -0,0 +1,396 @@
+import { LockingScript, PushDrop, Utils, WalletInterface, WalletClient, OutpointString, CreateActionInput, SignActionSpend, Transaction, Beef, Broadcaster, TopicBroadcaster, LookupResolver, LookupQuestion, LookupAnswer, PubKeyHex, WalletProtocol, ProtoWallet } from "@bsv/sdk"
+
+/**
+ * Anything able to answer lookup questions, such as the SDK's LookupResolver or an in-memory stand-in.
+ */
+export interface GlobalKVStoreResolver {
+  query: (question: LookupQuestion, timeout?: number) => Promise<LookupAnswer>
+}
+
+/**
+ * The query sent to the key-value lookup service. Every property is optional and narrows the results.
+ */
+export interface GlobalKVStoreQuery {
+  key?: string
+  controller?: PubKeyHex
+  protocolID?: WalletProtocol
+}
+
+/**
+ * Configuration options for a GlobalKVStore.
+ */
+export interface GlobalKVStoreConfig {
+  /** The protocol ID under which tokens are locked and namespaced. Defaults to [1, 'kvstore']. */
+  protocolID?: WalletProtocol
+  /** The overlay topic to which token transactions are submitted. Defaults to 'tm_kvstore'. */
+  topic?: string
+  /** The lookup service queried to find tokens. Defaults to 'ls_kvstore'. */
+  service?: string
+  /** The network preset used by the default broadcaster and resolver. */
+  networkPreset?: 'mainnet' | 'testnet' | 'local'
+  /** The broadcaster used to submit token transactions. Defaults to a TopicBroadcaster for the configured topic. */
+  broadcaster?: Broadcaster
+  /** The resolver used to answer lookup questions. Defaults to a LookupResolver. */
+  resolver?: GlobalKVStoreResolver
+}
+
+/**
+ * A decoded global key-value token.
+ */
+export interface GlobalKVToken {
+  protocolID: WalletProtocol
+  key: string
+  value: string
+  controller: PubKeyHex
+}
+
+/**
+ * A global key-value token located through the lookup service, together with the data needed to spend it.
+ */
+interface LocatedToken extends GlobalKVToken {
+  beef: number[]
+  outpoint: OutpointString
+  satoshis: number
+  lockingScript: LockingScript
+}
+
+/**
+ * Implements a public key-value storage system backed by overlay-tracked PushDrop tokens.
+ * Each token carries its protocol ID, key, value and controller identity key as fields,
+ * so anyone who knows the controller and the key can look the value up. Tokens are locked to a key derived
+ * from the controller's identity and signed by it, and tokens claiming a controller that did not lock and sign them are ignored.
+ * Values are stored in plaintext.
+ */
+export default class GlobalKVStore {
+  /**
+   * The wallet interface used to create, sign and locate token outputs.
+   * @private
+   * @readonly
+   */
+  private readonly wallet: WalletInterface
+  /**
+   * The protocol ID under which tokens are locked and namespaced.
+   * @private
+   * @readonly
+   */
+  private readonly protocolID: WalletProtocol
+  /**
+   * The lookup service queried to find tokens.
+   * @private
+   * @readonly
+   */
+  private readonly service: string
+  /**
+   * The broadcaster used to submit token transactions to the overlay.
+   * @private
+   * @readonly
+   */
+  private readonly broadcaster: Broadcaster
+  /**
+   * The resolver used to answer lookup questions.
+   * @private
+   * @readonly
+   */
+  private readonly resolver: GlobalKVStoreResolver
+  /**
+   * The identity key of the wallet, fetched on first use.
+   * @private
+   */
+  private identityKey: PubKeyHex | undefined
+
+  /**
+   * Creates an instance of the GlobalKVStore.
+   *
+   * @param {WalletInterface} [wallet=new WalletClient()] - The wallet interface to use. Defaults to a new WalletClient instance.
+   * @param {GlobalKVStoreConfig} [config={}] - Protocol, overlay and lookup configuration.
+   * @throws {Error} If the configured protocol ID is invalid.
+   */
+  constructor(
+    wallet: WalletInterface = new WalletClient(),
+    config: GlobalKVStoreConfig = {}
+  ) {
+    const protocolID = config.protocolID ?? [1, 'kvstore']
+    if (!Array.isArray(protocolID) || protocolID.length !== 2 || !protocolID[1]) {
+      throw new Error('A valid protocol ID in which to operate is required.')
+    }
+    const topic = config.topic ?? 'tm_kvstore'
+    this.wallet = wallet
+    this.protocolID = protocolID
+    this.service = config.service ?? 'ls_kvstore'
+    this.broadcaster = config.broadcaster ?? new TopicBroadcaster([topic], { networkPreset: config.networkPreset })
+    this.resolver = config.resolver ?? new LookupResolver({ networkPreset: config.networkPreset })
+  }
+
+  /**
+   * Decodes a global key-value token from its locking script.
+   *
+   * @param {LockingScript} lockingScript - The locking script of the token output.
+   * @returns {GlobalKVToken} The decoded token fields.
+   * @throws {Error} If the script is not a well-formed global key-value token.
+   */
+  static decode(lockingScript: LockingScript): GlobalKVToken {
+    const { fields } = PushDrop.decode(lockingScript)
+    // A trailing field, when present, is the PushDrop signature over the others
+    if (fields.length !== 4 && fields.length !== 5) {
+      throw new Error('Invalid token.')
+    }
+    const protocolID = JSON.parse(Utils.toUTF8(fields[0]))
+    if (!Array.isArray(protocolID) || protocolID.length !== 2) {
+      throw new Error('Invalid token.')
+    }
+    return {
+      protocolID: protocolID as WalletProtocol,
+      key: Utils.toUTF8(fields[1]),
+      value: Utils.toUTF8(fields[2]),
+      controller: Utils.toHex(fields[3])
+    }
+  }
+
+  /**
+   * Decodes a global key-value token and checks that its controller created it: the token must be locked to the key
+   * the controller derives for its protocol ID and key, and carry the controller's signature over its fields.
+   *
+   * @param {LockingScript} lockingScript - The locking script of the token output.
+   * @returns {Promise<GlobalKVToken>} The decoded token fields.
+   * @throws {Error} If the script is not a well-formed global key-value token, or was not locked and signed by its controller.
+   */
+  static async verify(lockingScript: LockingScript): Promise<GlobalKVToken> {
+    const token = GlobalKVStore.decode(lockingScript)
+    const { fields, lockingPublicKey } = PushDrop.decode(lockingScript)
+    if (fields.length !== 5) {
+      throw new Error('The token is not signed by its controller.')
+    }
+    const anyone = new ProtoWallet('anyone')
+    const { publicKey } = await anyone.getPublicKey({
+      protocolID: token.protocolID,
+      keyID: token.key,
+      counterparty: token.controller
+    })
+    if (lockingPublicKey.toString() !== publicKey) {
+      throw new Error('The token is not locked to its controller.')
+    }
+    try {
+      await anyone.verifySignature({
+        data: fields.slice(0, 4).reduce((a, e) => [...a, ...e], []),
+        signature: fields[4],
+        protocolID: token.protocolID,
+        keyID: token.key,
+        counterparty: token.controller
+      })
+    } catch (_) {
+      throw new Error('The token is not signed by its controller.')
+    }
+    return token
+  }
+
+  /**
+   * Retrieves the value associated with a given key and controller.
+   *
+   * @param {string} key - The key to retrieve the value for.
+   * @param {string | undefined} [defaultValue=undefined] - The value to return if the key is not found.
+   * @param {PubKeyHex} [controller] - The identity key of the controller. Defaults to this wallet's identity key.
+   * @returns {Promise<string | undefined>} A promise that resolves to the value as a string,
+   *   the defaultValue if the key is not found, or undefined if no defaultValue is provided.
+   * @throws {Error} If multiple tokens are found for the key (ambiguous state).
+   */
+  async get(key: string, defaultValue: string | undefined = undefined, controller?: PubKeyHex): Promise<string | undefined> {
+    const tokens = await this.lookup(key, controller ?? await this.getIdentityKey())
+    if (tokens.length === 0) {
+      return defaultValue
+    } else if (tokens.length > 1) {
+      throw new Error('Multiple tokens found for this key. The controller needs to call set to collapse this ambiguous state before you can get this value again.')
+    }
+    return tokens[0].value
+  }
+
+  /**
+   * Sets or updates the value associated with a given key under this wallet's identity.
+   * Any existing token(s) for the key are spent and replaced by a single new token,
+   * which is then submitted to the overlay.
+   *
+   * @param {string} key - The key to set or update.
+   * @param {string} value - The value to associate with the key.
+   * @returns {Promise<OutpointString>} A promise that resolves to the outpoint string (txid.vout) of the new token output.
+   * @throws {Error} If the transaction cannot be created or the overlay rejects it.
+   */
+  async set(key: string, value: string): Promise<OutpointString> {
+    const controller = await this.getIdentityKey()
+    const pushdrop = new PushDrop(this.wallet)
+    const lockingScript = await pushdrop.lock(
+      [
+        Utils.toArray(JSON.stringify(this.protocolID), 'utf8'),
+        Utils.toArray(key, 'utf8'),
+        Utils.toArray(value, 'utf8'),
+        Utils.toArray(controller, 'hex')
+      ],
+      this.protocolID,
+      key,
+      'anyone',
+      true
+    )
+    const existing = await this.lookup(key, controller)
+    const outputs = [{
+      lockingScript: lockingScript.toHex(),
+      satoshis: 1,
+      outputDescription: 'Key-value token'
+    }]
+    let tx: number[] | undefined
+    if (existing.length !== 0) {
+      tx = await this.spend(existing, key, `Update ${key} in ${this.protocolID[1]}`, outputs)
+    } else {
+      ({ tx } = await this.wallet.createAction({
+        description: `Set ${key} in ${this.protocolID[1]}`,
+        outputs,
+        options: {
+          acceptDelayedBroadcast: false,
+          randomizeOutputs: false
+        }
+      }))
+    }
+    const txid = await this.submit(tx)
+    return `${txid}.0`
+  }
+
+  /**
+   * Removes the key-value pair associated with the given key under this wallet's identity.
+   * Any existing token(s) for the key are spent without creating a new one, and the spend is submitted to the overlay.
+   * If the key does not exist, it does nothing.
+   *
+   * @param {string} key - The key to remove.
+   * @returns {Promise<string | void>} A promise that resolves to the txid of the removal transaction, if there was anything to remove.
+   * @throws {Error} If the transaction cannot be created or the overlay rejects it.
+   */
+  async remove(key: string): Promise<OutpointString | void> {
+    const existing = await this.lookup(key, await this.getIdentityKey())
+    if (existing.length === 0) {
+      return // Key not found, do nothing
+    }
+    const tx = await this.spend(existing, key, `Remove ${key} from ${this.protocolID[1]}`)
+    return await this.submit(tx)
+  }
+
+  /**
+   * Returns the identity key of the wallet, caching it after the first request.
+   * @private
+   */
+  private async getIdentityKey(): Promise<PubKeyHex> {
+    if (this.identityKey === undefined) {
+      const { publicKey } = await this.wallet.getPublicKey({ identityKey: true })
+      this.identityKey = publicKey
+    }
+    return this.identityKey
+  }
+
+  /**
+   * Asks the lookup service for the tokens of a key under a controller, skipping any output that does not decode
+   * to a matching token, or that was not locked and signed by the controller.
+   * @private
+   */
+  private async lookup(key: string, controller: PubKeyHex): Promise<LocatedToken[]> {
+    const query: GlobalKVStoreQuery = { key, controller, protocolID: this.protocolID }
+    const answer = await this.resolver.query({ service: this.service, query })
+    if (answer.type !== 'output-list') {
+      return []
+    }
+    const tokens: LocatedToken[] = []
+    for (const output of answer.outputs) {
+      try {
+        const tx = Transaction.fromBEEF(output.beef)
+        const { lockingScript, satoshis } = tx.outputs[output.outputIndex]
+        const token = await GlobalKVStore.verify(lockingScript)
+        if (
+          token.key !== key ||
+          token.controller !== controller ||
+          token.protocolID[0] !== this.protocolID[0] ||
+          token.protocolID[1] !== this.protocolID[1]
+        ) {
+          continue
+        }
+        tokens.push({
+          ...token,
+          beef: output.beef,
+          outpoint: `${tx.id('hex')}.${output.outputIndex}`,
+          satoshis,
+          lockingScript
+        })
+      } catch (_) {
+        // Skip outputs that are not valid key-value tokens
+      }
+    }
+    return tokens
+  }
+
+  /**
+   * Spends the given tokens in a single transaction, optionally creating new outputs,
+   * and returns the signed transaction as Atomic BEEF.
+   * @private
+   */
+  private async spend(
+    tokens: LocatedToken[],
+    key: string,
+    description: string,
+    outputs?: Array<{ lockingScript: string, satoshis: number, outputDescription: string }>
+  ): Promise<number[] | undefined> {
+    const inputBEEF = new Beef()
+    const inputs: CreateActionInput[] = []
+    for (const token of tokens) {
+      inputBEEF.mergeBeef(token.beef)
+      inputs.push({
+        outpoint: token.outpoint,
+        unlockingScriptLength: 74,
+        inputDescription: 'Previous key-value token'
+      })
+    }
+    const { signableTransaction } = await this.wallet.createAction({
+      description,
+      inputBEEF: inputBEEF.toBinary(),
+      inputs,
+      outputs,
+      options: {
+        acceptDelayedBroadcast: false,
+        randomizeOutputs: false
+      }
+    })
+    if (signableTransaction === undefined) {
+      throw new Error('Failed to create signable transaction.')
+    }
+    const tx = Transaction.fromAtomicBEEF(signableTransaction.tx)
+    const pushdrop = new PushDrop(this.wallet)
+    const spends: Record<number, SignActionSpend> = {}
+    for (let i = 0; i < tokens.length; i++) {
+      const unlocker = pushdrop.unlock(
+        this.protocolID,
+        key,
+        'anyone',
+        'all',
+        false,
+        tokens[i].satoshis,
+        tokens[i].lockingScript
+      )
+      const unlockingScript = await unlocker.sign(tx, i)
+      spends[i] = {
+        unlockingScript: unlockingScript.toHex()
+      }
+    }
+    const { tx: signedTx } = await this.wallet.signAction({
+      reference: signableTransaction.reference,
+      spends
+    })
+    return signedTx
+  }
+
+  /**
+   * Submits a transaction to the overlay through the configured broadcaster.
+   * @private
+   */
+  private async submit(tx: number[] | undefined): Promise<string> {
+    if (tx === undefined) {
+      throw new Error('The wallet did not return the key-value transaction.')
+    }
+    const result = await this.broadcaster.broadcast(Transaction.fromAtomicBEEF(tx))
+    if (result.status !== 'success') {
+      throw new Error(`The overlay rejected the key-value transaction: ${result.description}`)
+    }
+    return result.txid
+  }
+}
@@ -1,11 +1,280 @@
-import { LockingScript, PushDrop, Utils, WalletInterface, WalletClient, OutpointString, CreateActionInput, SignActionSpend, Transaction } from "@bsv/sdk";
+import { LockingScript, PushDrop, Utils, WalletInterface, WalletClient, OutpointString, CreateActionInput, CreateActionOutput, SignActionSpend, Transaction, WalletOutput, Beef, PubKeyHex, SymmetricKey, ProtoWallet, WalletProtocol } from "@bsv/sdk";
+import { KVStoreCodec, utf8Codec } from './codecs'
+import MemoryLRUCache, { KVStoreCacheBackend, KVStoreCacheOptions } from './cache'
+
+/**
+ * The key ID under which the key field of a token is encrypted, since the key itself is unknown until it is decrypted.
+ */
+const KEY_FIELD_KEY_ID = 'kvstore-key'
+
+/**
+ * The version of the format field layout, stored as its first byte.
+ */
+const FORMAT_VERSION = 1
+
+/**
+ * The format version of tokens whose value field is a shared envelope rather than the encoded value itself.
+ * The envelope holds the value encrypted under a random symmetric key, and that key encrypted for each reader.
+ */
+const SHARED_FORMAT_VERSION = 2
+
+/**
+ * The data HMACed with the key an owner shares with a reader, giving the tag under which the reader's wrapped key is
+ * stored in a shared envelope. Only the owner and that reader can compute the tag, so no identity is published.
+ */
+const READER_TAG_DATA = 'kvstore reader'
+
+/**
+ * Set in the format version byte of tokens that carry a metadata field after the format field.
+ */
+const METADATA_FLAG = 0x80
+
+/**
+ * Compact identifiers for the built-in codecs. Any other codec is identified by the
+ * CUSTOM_CODEC_ID byte followed by its UTF-8 encoded name.
+ */
+const BUILT_IN_CODEC_IDS: Record<string, number> = { utf8: 0, json: 1, binary: 2 }
+const CUSTOM_CODEC_ID = 255
+
+/**
+ * The protocol under which context snapshots are signed, with the context name as the key ID.
+ * Snapshots are signed for anyone, so any holder can check who produced them.
+ */
+const SNAPSHOT_PROTOCOL_ID: WalletProtocol = [2, 'kvstore snapshot']
+
+/**
+ * Options for listing the keys or entries of a context.
+ * The prefix and range filters combine, and limit and offset apply to the matching results.
+ */
+export interface KVStoreListOptions {
+  /** Only include keys starting with this prefix. */
+  prefix?: string
+  /** Only include keys sorting at or after this key. */
+  start?: string
+  /** Only include keys sorting strictly before this key. */
+  end?: string
+  /** The maximum number of results to return. */
+  limit?: number
+  /** The number of matching results to skip. */
+  offset?: number
+  /** How many outputs to request from the wallet per listOutputs call. Defaults to 100. */
+  pageSize?: number
+}
+
+/**
+ * A key-value pair read from a context, together with the outpoint of the token holding it.
+ */
+export interface KVStoreEntry<T = string> {
+  key: string
+  value: T
+  outpoint: OutpointString
+  metadata: KVStoreMetadata
+  /** The satoshis locked in the token. */
+  satoshis: number
+}
+
+/**
+ * An earlier (or the current) value of a key, recovered from the chain of transactions that updated it.
+ */
+export interface KVStoreHistoryEntry<T = string> {
+  value: T
+  /** The txid of the transaction that wrote the value. */
+  txid: string
+  outpoint: OutpointString
+  /** The height of the block containing the transaction, if it has been mined. */
+  blockHeight?: number
+  /** The time of the block containing the transaction in milliseconds since the epoch, if it has been mined. */
+  timestamp?: number
+}
+
+/**
+ * Describes a change to a key. Local changes are reported as soon as this store makes them;
+ * remote ones (from another device or tab using the same wallet) when a poll notices them.
+ */
+export interface KVStoreChangeEvent {
+  /** A set, a removal, or a set that collapsed several tokens for the key into one. */
+  type: 'set' | 'remove' | 'collapse'
+  key: string
+  /** The outpoints of the tokens that were spent or relinquished. */
+  oldOutpoints: OutpointString[]
+  /** The outpoints of the tokens that now hold the key. Empty for a removal. */
+  newOutpoints: OutpointString[]
+  /** Whether the change was detected by polling rather than made by this store. */
+  remote: boolean
+}
+
+/**
+ * A function called with every change it is subscribed to.
+ */
+export type KVStoreChangeListener = (event: KVStoreChangeEvent) => void
+
+/**
+ * One of several tokens found for the same key, offered to a conflict policy.
+ */
+export interface KVStoreConflictCandidate<T = string> {
+  value: T
+  outpoint: OutpointString
+  /** The height of the block containing the token's transaction, if it has been mined. */
+  blockHeight?: number
+  /** When the token's value was written, in milliseconds since the epoch, if its metadata records it. */
+  updatedAt?: number
+}
+
+/**
+ * How to read a key that is held by more than one token, which happens after concurrent writes from two devices.
+ * - 'throw': fail until the state is collapsed by a set (the default).
+ * - 'first': use the first token the wallet lists.
+ * - 'last': use the most recently written token, by the updatedAt time in its metadata. Tokens without one count
+ *   as older than those with one. Ties are broken by block height, with unmined tokens counting as newer than
+ *   mined ones, and then go to the token the wallet lists last.
+ * - A function merging the candidates into a single value.
+ */
+export type KVStoreConflictPolicy<T = string> =
+  | 'throw'
+  | 'first'
+  | 'last'
+  | ((candidates: Array<KVStoreConflictCandidate<T>>) => T | Promise<T>)
+
+/**
+ * Optional settings of a LocalKVStore.
+ */
+export interface LocalKVStoreConfig<T = string> {
+  /** The codec for values, such as jsonCodec, binaryCodec or a custom one. Defaults to UTF-8 strings. */
+  codec?: KVStoreCodec<T>
+  /** Enables a read-through cache of values and outpoints. Disabled by default. */
+  cache?: KVStoreCacheOptions
+  /** How get reads keys held by more than one token. Defaults to 'throw'. */
+  conflictPolicy?: KVStoreConflictPolicy<T>
+}
+
+/**
+ * What resolveConflicts or repair did to the context.
+ */
+export interface KVStoreRepairReport {
+  /** The keys whose tokens were collapsed into one, with the spent outpoints and the new one. */
+  collapsed: Array<{ key: string, oldOutpoints: OutpointString[], newOutpoint: OutpointString }>
+  /** The keys whose tokens had all expired, with the spent outpoints. */
+  removed: Array<{ key: string, oldOutpoints: OutpointString[] }>
+  /** The outpoints of undecodable outputs that were relinquished from the basket. */
+  relinquished: OutpointString[]
+}
+
+/**
+ * Information recorded alongside a value. Tokens written before metadata was recorded have none of it.
+ */
+export interface KVStoreMetadata {
+  /** The media type of the value, such as application/json. */
+  contentType?: string
+  /** Free-form labels for the entry. */
+  labels?: string[]
+  /** When the key was first set, in milliseconds since the epoch. Kept across updates. */
+  createdAt?: number
+  /** When the value was last set, in milliseconds since the epoch. */
+  updatedAt?: number
+  /** When the entry expires, in milliseconds since the epoch. Expired entries read as missing until swept. */
+  expiresAt?: number
+}
+
+/**
+ * Options for writing a value.
+ */
+export interface KVStoreSetOptions {
+  /**
+   * Identity keys to share the value with. The value is then encrypted so that these identities and the owner
+   * can read it, even if the store does not encrypt. Setting the key again without readers makes it private again.
+   * Neither the readers' nor the owner's identity keys are written to the token, but the number of readers is visible.
+   */
+  readers?: PubKeyHex | PubKeyHex[]
+  /** The media type of the value, recorded in its metadata. */
+  contentType?: string
+  /** Labels recorded in the value's metadata. */
+  labels?: string[]
+  /** When the entry expires, in milliseconds since the epoch. */
+  expiresAt?: number
+  /** How long the entry lives, in milliseconds from now. Ignored if expiresAt is given. */
+  ttl?: number
+  /**
+   * When the key was first set, in milliseconds since the epoch, for carrying it over from another store.
+   * Defaults to the creation time recorded in the key's current tokens, or now if it has none.
+   */
+  createdAt?: number
+  /** The satoshis locked in the token. Defaults to 1. */
+  satoshis?: number
+  /** The description of the token output. Defaults to 'Key-value token'. */
+  outputDescription?: string
+}
+
+/**
+ * A single change within a batch: either setting a key to a value or removing it.
+ */
+export type KVStoreBatchOperation<T = string> =
+  | { type: 'set', key: string, value: T, options?: KVStoreSetOptions }
+  | { type: 'remove', key: string }
+
+/**
+ * A shared token handed to one of its readers, who can read it with their own store's readShared.
+ * The context, key and owner are what the reader needs to derive the decryption key. None of them can be
+ * read from the token itself, so they travel alongside it.
+ */
+export interface KVStoreSharedToken {
+  context: string
+  key: string
+  /** The identity key of the wallet that wrote the token. */
+  owner: PubKeyHex
+  outpoint: OutpointString
+  /** The atomic BEEF of the transaction holding the token. */
+  beef: number[]
+}
+
+/**
+ * A portable, signed copy of every key-value pair in a context, produced by exportContext.
+ * Values are stored decrypted, so a snapshot of an encrypted context should be kept as safe as the wallet itself.
+ */
+export interface KVStoreSnapshot {
+  context: string
+  /** The name of the codec the values were encoded with. */
+  codec: string
+  /** The pairs, with values encoded by the codec as hex, their metadata, and the outpoints and satoshis of the tokens they were read from. */
+  entries: Array<{ key: string, value: string, outpoint: OutpointString, metadata: KVStoreMetadata, satoshis: number }>
+  /** The BEEF of the transactions holding the tokens, as hex. */
+  beef: string
+  /** The identity key of the wallet that signed the snapshot. */
+  signer: PubKeyHex
+  /** The signature over every other property of the snapshot, as hex. */
+  signature: string
+}
+
+/**
+ * The value field of a shared token, stored as UTF-8 encoded JSON.
+ */
+interface SharedEnvelope {
+  /** The symmetric key encrypted for each reader, including the owner, as hex keyed by the hex reader tag. */
+  keys: Record<string, string>
+  /** The encoded value encrypted under the symmetric key, as hex. */
+  ciphertext: string
+  /** The JSON list of reader identity keys encrypted for the owner alone, as hex, so rewrites can keep sharing the value. */
+  readers?: string
+}
+
+/**
+ * The outcome of a batch, which lands in a single transaction.
+ */
+export interface KVStoreBatchResult {
+  /** The txid of the batch transaction. */
+  txid: string
+  /** The outpoint of the new token for every key that was set. */
+  outpoints: Record<string, OutpointString>
+}
 
 /**
  * Implements a key-value storage system backed by transaction outputs managed by a wallet.
- * Each key-value pair is represented by a PushDrop token output in a specific context (basket).
- * Allows setting, getting, and removing key-value pairs, with optional encryption.
+ * Each key-value pair is represented by a PushDrop token output in a specific context (basket),
+ * whose fields hold the key and the value so that the keys of a context can be enumerated.
+ * Allows setting, getting, listing and removing key-value pairs, with optional encryption.
+ * Values are converted to bytes by a codec, UTF-8 strings by default, whose name is recorded in each token.
+ * Changes can be subscribed to with on or watch, and reads can optionally be served from a cache.
  */
-export default class LocalKVStore {
+export default class LocalKVStore<T = string> {
   /**
    * The wallet interface used to manage outputs and perform cryptographic operations.
    * @private
@@ -24,6 +293,51 @@ export default class LocalKVStore {
    * @readonly
    */
   private readonly encrypt: boolean
+  /**
+   * The codec used to convert values to and from the bytes stored in tokens.
+   * @private
+   * @readonly
+   */
+  private readonly codec: KVStoreCodec<T>
+  /**
+   * The functions subscribed to change events.
+   * @private
+   * @readonly
+   */
+  private readonly listeners: Set<KVStoreChangeListener> = new Set()
+  /**
+   * The key of every token in the context as of the last poll, by outpoint. Undefined until the first poll.
+   * @private
+   */
+  private snapshot: Map<OutpointString, string> | undefined
+  /**
+   * The timer driving periodic polls, if polling is running.
+   * @private
+   */
+  private pollTimer: ReturnType<typeof setInterval> | undefined
+  /**
+   * Whether a poll started by the timer is still running, so that slow polls do not overlap.
+   * @private
+   */
+  private polling = false
+  /**
+   * The backend of the read-through cache, if caching is enabled.
+   * @private
+   * @readonly
+   */
+  private readonly cache: KVStoreCacheBackend | undefined
+  /**
+   * How long a cached entry is trusted without asking the wallet, in milliseconds.
+   * @private
+   * @readonly
+   */
+  private readonly cacheTTL: number
+  /**
+   * How get reads keys held by more than one token.
+   * @private
+   * @readonly
+   */
+  private readonly conflictPolicy: KVStoreConflictPolicy<T>
 
   /**
    * Creates an instance of the localKVStore.
@@ -31,12 +345,14 @@ export default class LocalKVStore {
    * @param {WalletInterface} [wallet=new WalletClient()] - The wallet interface to use. Defaults to a new WalletClient instance.
    * @param {string} [context='kvstore-default'] - The context (basket) for namespacing keys. Defaults to 'kvstore-default'.
    * @param {boolean} [encrypt=true] - Whether to encrypt values. Defaults to true.
+   * @param {LocalKVStoreConfig} [config={}] - The codec, cache and conflict policy. See LocalKVStoreConfig for the defaults.
    * @throws {Error} If the context is missing or empty.
    */
   constructor(
     wallet: WalletInterface = new WalletClient(),
     context = 'kvstore-default',
-    encrypt = true
+    encrypt = true,
+    config: LocalKVStoreConfig<T> = {}
   ) {
     if (!context) {
       throw new Error('A context in which to operate is required.')
@@ -44,49 +360,210 @@ export default class LocalKVStore {
     this.wallet = wallet
     this.context = context
     this.encrypt = encrypt
+    this.codec = config.codec ?? utf8Codec as unknown as KVStoreCodec<T>
+    this.cache = config.cache !== undefined ? config.cache.backend ?? new MemoryLRUCache() : undefined
+    this.cacheTTL = config.cache?.ttl ?? 30000
+    this.conflictPolicy = config.conflictPolicy ?? 'throw'
   }
 
   /**
    * Retrieves the value associated with a given key.
+   * With caching enabled, a fresh cached value is returned without contacting the wallet. A stale one is
+   * re-checked against the listed outpoint and reused without decrypting if the token has not changed.
    *
    * @param {string} key - The key to retrieve the value for.
-   * @param {string | undefined} [defaultValue=undefined] - The value to return if the key is not found.
-   * @returns {Promise<string | undefined>} A promise that resolves to the value as a string,
+   * @param {T | undefined} [defaultValue=undefined] - The value to return if the key is not found.
+   * @param {KVStoreConflictPolicy<T>} [conflictPolicy] - How to read the key if it is held by more than one token. Defaults to the store's policy.
+   * @returns {Promise<T | undefined>} A promise that resolves to the decoded value,
    *   the defaultValue if the key is not found, or undefined if no defaultValue is provided.
-   * @throws {Error} If multiple outputs are found for the key (ambiguous state).
+   * @throws {Error} If multiple outputs are found for the key (ambiguous state) and the conflict policy is 'throw'.
    * @throws {Error} If the found output's locking script cannot be decoded or represents an invalid token format.
+   * @throws {Error} If the value was written with a different codec or cannot be decoded by this store's codec.
    */
-  async get(key: string, defaultValue: string | undefined = undefined): Promise<string | undefined> {
+  async get(key: string, defaultValue: T | undefined = undefined, conflictPolicy: KVStoreConflictPolicy<T> = this.conflictPolicy): Promise<T | undefined> {
+    const cached = this.cache !== undefined ? await this.cache.get(this.cacheKey(key)) : undefined
+    if (cached !== undefined && Date.now() - cached.cachedAt < this.cacheTTL) {
+      return this.hasExpired(cached) ? defaultValue : cached.value as T
+    }
     const results = await this.wallet.listOutputs({
       basket: this.context,
       tags: [key],
       include: 'locking scripts'
     })
-    if (results.outputs.length === 0) {
+    if (results.outputs.length !== 1) {
+      await this.uncache(key)
+      if (results.outputs.length === 0) {
+        return defaultValue
+      }
+      if (conflictPolicy === 'throw') {
+        throw new Error('Multiple tokens found for this key. You need to call set to collapse this ambiguous state before you can get this value again.')
+      }
+      const { candidates } = await this.listCandidates(key)
+      if (candidates.length === 0) {
+        return defaultValue
+      }
+      return await this.resolve(candidates, conflictPolicy)
+    }
+    const { outpoint } = results.outputs[0]
+    if (cached !== undefined && cached.outpoint === outpoint) {
+      await this.recache(key, outpoint, cached.value as T, cached.expiresAt)
+      return this.hasExpired(cached) ? defaultValue : cached.value as T
+    }
+    const fields = this.decodeFields(results.outputs[0])
+    const { expiresAt } = await this.readMetadata(key, fields)
+    if (this.hasExpired({ expiresAt })) {
+      await this.uncache(key)
       return defaultValue
-    } else if (results.outputs.length > 1) {
+    }
+    const value = await this.readValue(key, fields)
+    await this.recache(key, outpoint, value, expiresAt)
+    return value
+  }
+
+  /**
+   * Retrieves the metadata recorded alongside the value of a given key.
+   *
+   * @param {string} key - The key to retrieve the metadata for.
+   * @returns {Promise<KVStoreMetadata | undefined>} A promise that resolves to the metadata, which is empty for
+   *   tokens written before metadata was recorded, or undefined if the key is not found.
+   * @throws {Error} If multiple outputs are found for the key (ambiguous state).
+   */
+  async getMetadata(key: string): Promise<KVStoreMetadata | undefined> {
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: [key],
+      include: 'locking scripts'
+    })
+    if (results.outputs.length === 0) {
+      return undefined
+    }
+    if (results.outputs.length > 1) {
       throw new Error('Multiple tokens found for this key. You need to call set to collapse this ambiguous state before you can get this value again.')
     }
-    let fields: number[][]
-    try {
-      const decoded = PushDrop.decode(LockingScript.fromHex(results.outputs[0].lockingScript!))
-      if (decoded.fields.length !== 1) {
-        throw new Error('Invalid token.')
+    return await this.readMetadata(key, this.decodeFields(results.outputs[0]))
+  }
+
+  /**
+   * Checks whether a value is stored for a given key, agreeing with get: expired tokens count as missing,
+   * while tokens that cannot be decoded count as present, since get reports them instead of returning the default.
+   *
+   * @param {string} key - The key to check.
+   * @returns {Promise<boolean>} A promise that resolves to true if the key has a token that has not expired.
+   */
+  async has(key: string): Promise<boolean> {
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: [key],
+      include: 'locking scripts'
+    })
+    for (const output of results.outputs) {
+      let fields: number[][]
+      try {
+        fields = this.decodeFields(output)
+      } catch (_) {
+        return true
+      }
+      const metadata = await this.tryReadMetadata(key, fields)
+      if (metadata === undefined || !this.hasExpired(metadata)) {
+        return true
       }
-      fields = decoded.fields
-    } catch (_) {
-      throw new Error(`Invalid value found. You need to call set to collapse the corrupted state (or relinquish the corrupted ${results.outputs[0].outpoint} output from the ${this.context} basket) before you can get this value again.`)
     }
-    if (!this.encrypt) {
-      return Utils.toUTF8(fields[0])
-    } else {
-      const { plaintext } = await this.wallet.decrypt({
-        protocolID: [2, this.context],
-        keyID: key,
-        ciphertext: fields[0]
-      })
-      return Utils.toUTF8(plaintext)
+    return false
+  }
+
+  /**
+   * Lists the distinct keys stored in the context, in the order the wallet lists their tokens.
+   * Keys are recovered from the tokens themselves, decrypting them if encryption is enabled.
+   * Outputs that cannot be decoded as key-value tokens or whose metadata is corrupt are skipped, and so are expired entries.
+   *
+   * @param {KVStoreListOptions} [options={}] - Prefix, range and pagination options.
+   * @returns {Promise<string[]>} A promise that resolves to the matching keys.
+   */
+  async keys(options: KVStoreListOptions = {}): Promise<string[]> {
+    const keys: string[] = []
+    const seen = new Set<string>()
+    let skipped = 0
+    for await (const { key, fields } of this.scan(options)) {
+      if (seen.has(key)) continue
+      const metadata = await this.tryReadMetadata(key, fields)
+      if (metadata === undefined || this.hasExpired(metadata)) continue
+      seen.add(key)
+      if (skipped < (options.offset ?? 0)) {
+        skipped++
+        continue
+      }
+      keys.push(key)
+      if (keys.length === options.limit) break
+    }
+    return keys
+  }
+
+  /**
+   * Lists the key-value pairs stored in the context, in the order the wallet lists their tokens.
+   * A key held by multiple tokens (an ambiguous state that set collapses) appears once per token.
+   * Outputs that cannot be decoded as key-value tokens or whose metadata is corrupt are skipped, and so are expired entries.
+   *
+   * @param {KVStoreListOptions} [options={}] - Prefix, range and pagination options.
+   * @returns {Promise<KVStoreEntry<T>[]>} A promise that resolves to the matching entries.
+   * @throws {Error} If a matching value was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async entries(options: KVStoreListOptions = {}): Promise<Array<KVStoreEntry<T>>> {
+    const entries: Array<KVStoreEntry<T>> = []
+    let skipped = 0
+    for await (const { key, fields, outpoint, satoshis } of this.scan(options)) {
+      const metadata = await this.tryReadMetadata(key, fields)
+      if (metadata === undefined || this.hasExpired(metadata)) continue
+      if (skipped < (options.offset ?? 0)) {
+        skipped++
+        continue
+      }
+      entries.push({ key, value: await this.readValue(key, fields), outpoint, metadata, satoshis })
+      if (entries.length === options.limit) break
+    }
+    return entries
+  }
+
+  /**
+   * Lists the values a key has held, newest first, starting with its current value.
+   * Each set spends the previous token for the key, so earlier values are recovered by walking back through
+   * the spent inputs of the current token, using the BEEF returned by the wallet. The walk reaches as far back
+   * as that BEEF does: the ancestors of a mined transaction are not included in it, so history stops there.
+   * Older values are decrypted with the same protocol and key ID as current ones.
+   *
+   * @param {string} key - The key whose history to list.
+   * @returns {Promise<KVStoreHistoryEntry<T>[]>} A promise that resolves to the values with their txids and, once mined, block timestamps.
+   *   Empty if the key does not exist.
+   * @throws {Error} If a value in the chain was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async history(key: string): Promise<Array<KVStoreHistoryEntry<T>>> {
+    const entries = await this.walkHistory(key)
+    const timestamps: Record<number, number> = {}
+    for (const entry of entries) {
+      if (entry.blockHeight === undefined) continue
+      if (timestamps[entry.blockHeight] === undefined) {
+        const { header } = await this.wallet.getHeaderForHeight({ height: entry.blockHeight })
+        // The block time is the little-endian 32-bit integer at byte 68 of the 80-byte header
+        const time = Utils.toArray(header, 'hex').slice(68, 72)
+        timestamps[entry.blockHeight] = (time[0] | time[1] << 8 | time[2] << 16 | time[3] << 24) >>> 0
+      }
+      entry.timestamp = timestamps[entry.blockHeight] * 1000
     }
+    return entries
+  }
+
+  /**
+   * Retrieves the value a key was given by a specific transaction in its history.
+   *
+   * @param {string} key - The key to retrieve the value for.
+   * @param {string} txid - The txid of the transaction that wrote the value.
+   * @param {T | undefined} [defaultValue=undefined] - The value to return if the transaction is not found in the key's history.
+   * @returns {Promise<T | undefined>} A promise that resolves to the value written by that transaction,
+   *   or the defaultValue if it is not part of the recoverable history.
+   * @throws {Error} If a value in the chain was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async getAt(key: string, txid: string, defaultValue: T | undefined = undefined): Promise<T | undefined> {
+    const entry = (await this.walkHistory(key)).find(e => e.txid === txid)
+    return entry !== undefined ? entry.value : defaultValue
   }
 
   /**
@@ -99,31 +576,28 @@ export default class LocalKVStore {
    * If signing the update/collapse transaction fails, it relinquishes the original outputs and starts over with a new chain.
    *
    * @param {string} key - The key to set or update.
-   * @param {string} value - The value to associate with the key.
+   * @param {T} value - The value to associate with the key, encoded with this store's codec.
+   * @param {KVStoreSetOptions} [options={}] - Sharing, metadata, expiry and output options.
    * @returns {Promise<OutpointString>} A promise that resolves to the outpoint string (txid.vout) of the new or updated token output.
+   * @throws {Error} If the cache backend fails to store the new value. The value has been written by then.
    */
-  async set(key: string, value: string): Promise<OutpointString> {
-    let valueAsArray = Utils.toArray(value, 'utf8')
-    if (this.encrypt) {
-      const { ciphertext } = await this.wallet.encrypt({
-        plaintext: valueAsArray,
-        protocolID: [2, this.context],
-        keyID: key
-      })
-      valueAsArray = ciphertext
-    }
+  async set(key: string, value: T, options: KVStoreSetOptions = {}): Promise<OutpointString> {
     const pushdrop = new PushDrop(this.wallet)
-    const lockingScript = await pushdrop.lock(
-      [valueAsArray],
-      [2, this.context],
-      key,
-      'self'
-    )
     const results = await this.wallet.listOutputs({
       basket: this.context,
       tags: [key],
       include: 'entire transactions'
     })
+    const metadata = this.newMetadata(options, await this.createdAt(key, results.outputs.map(o => o.outpoint), results.BEEF))
+    const lockingScript = await this.lockToken(pushdrop, key, value, metadata, options.readers)
+    const output: CreateActionOutput = {
+      lockingScript: lockingScript.toHex(),
+      satoshis: options.satoshis ?? 1,
+      outputDescription: options.outputDescription ?? 'Key-value token',
+      basket: this.context,
+      tags: [key]
+    }
+    let newOutpoint: OutpointString | undefined
     if (results.totalOutputs !== 0) {
       try {
         const inputs: CreateActionInput[] = []
@@ -138,11 +612,7 @@ export default class LocalKVStore {
           description: `Update ${key} in ${this.context}`,
           inputBEEF: results.BEEF,
           inputs,
-          outputs: [{
-            lockingScript: lockingScript.toHex(),
-            satoshis: 1,
-            outputDescription: 'Key-value token'
-          }],
+          outputs: [output],
           options: {
             acceptDelayedBroadcast: false,
             randomizeOutputs: false
@@ -165,7 +635,7 @@ export default class LocalKVStore {
           reference: signableTransaction.reference,
           spends
         })
-        return `${txid}.0`
+        newOutpoint = `${txid}.0`
       } catch (_) {
         // Signing failed, relinquish original outputs
         for (let i = 0; i < results.outputs.length; i++) {
@@ -176,19 +646,21 @@ export default class LocalKVStore {
         }
       }
     }
-    const { txid } = await this.wallet.createAction({
-      description: `Set ${key} in ${this.context}`,
-      outputs: [{
-        lockingScript: lockingScript.toHex(),
-        satoshis: 1,
-        outputDescription: 'Key-value token'
-      }],
-      options: {
-        acceptDelayedBroadcast: false,
-        randomizeOutputs: false
-      }
-    })
-    return `${txid}.0`
+    if (newOutpoint === undefined) {
+      const { txid } = await this.wallet.createAction({
+        description: `Set ${key} in ${this.context}`,
+        outputs: [output],
+        options: {
+          acceptDelayedBroadcast: false,
+          randomizeOutputs: false
+        }
+      })
+      newOutpoint = `${txid}.0`
+    }
+    // Only once the transaction is done, so a failing cache backend cannot undo a successful spend
+    this.emitLocal(key, results.outputs.map(o => o.outpoint), [newOutpoint])
+    await this.recache(key, newOutpoint, value, metadata.expiresAt)
+    return newOutpoint
   }
 
   /**
@@ -200,6 +672,7 @@ export default class LocalKVStore {
    *
    * @param {string} key - The key to remove.
    * @returns {Promise<string | void>} A promise that resolves to the txid of the removal transaction if successful.
+   * @throws {Error} If the cache backend fails to drop the value. The key has been removed by then.
    */
   async remove(key: string): Promise<OutpointString | void> {
     const results = await this.wallet.listOutputs({
@@ -211,6 +684,7 @@ export default class LocalKVStore {
       return // Key not found, do nothing
     }
     const pushdrop = new PushDrop(this.wallet)
+    let txid: string | undefined
     try {
       const inputs: CreateActionInput[] = []
       for (let i = 0; i < results.outputs.length; i++) {
@@ -241,11 +715,10 @@ export default class LocalKVStore {
           unlockingScript: unlockingScript.toHex()
         }
       }
-      const { txid } = await this.wallet.signAction({
+      ({ txid } = await this.wallet.signAction({
         reference: signableTransaction.reference,
         spends
-      })
-      return txid
+      }))
     } catch (_) {
       for (let i = 0; i < results.outputs.length; i++) {
         await this.wallet.relinquishOutput({
@@ -254,5 +727,1144 @@ export default class LocalKVStore {
         })
       }
     }
+    this.emitLocal(key, results.outputs.map(o => o.outpoint), [])
+    await this.uncache(key)
+    return txid
+  }
+
+  /**
+   * Applies several sets and removes atomically, in a single transaction.
+   * Every existing token for the affected keys is spent as an input, each signed with its own key's unlocker,
+   * and the new tokens for the keys being set are created as outputs, in the order of the operations.
+   * When the same key appears more than once, its last operation wins.
+   * If signing fails, the transaction is aborted and nothing changes.
+   *
+   * @param {KVStoreBatchOperation<T>[]} operations - The sets and removes to apply.
+   * @returns {Promise<KVStoreBatchResult | void>} A promise that resolves to the txid and new outpoints,
+   *   or to nothing if there was nothing to change.
+   * @throws {Error} If the keys are held by more tokens than the wallet lists at once, or if the batch transaction cannot be signed.
+   */
+  async batch(operations: Array<KVStoreBatchOperation<T>>): Promise<KVStoreBatchResult | void> {
+    const latest = new Map<string, KVStoreBatchOperation<T>>()
+    for (const operation of operations) {
+      latest.delete(operation.key)
+      latest.set(operation.key, operation)
+    }
+    if (latest.size === 0) {
+      return
+    }
+    const keys = [...latest.keys()]
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: keys,
+      tagQueryMode: 'any',
+      includeTags: true,
+      include: 'entire transactions',
+      limit: 10000
+    })
+    if (results.outputs.length < results.totalOutputs) {
+      // Spending only some of the tokens would leave those keys ambiguous
+      throw new Error(`The keys in this batch are held by ${results.totalOutputs} tokens, more than can be spent in one transaction. Split the batch into smaller ones.`)
+    }
+    const inputs: CreateActionInput[] = []
+    const inputKeys: string[] = []
+    for (const output of results.outputs) {
+      const key = keys.find(k => output.tags?.includes(k))
+      if (key === undefined) continue
+      inputs.push({
+        outpoint: output.outpoint,
+        unlockingScriptLength: 74,
+        inputDescription: 'Previous key-value token'
+      })
+      inputKeys.push(key)
+    }
+    const pushdrop = new PushDrop(this.wallet)
+    const outputs: CreateActionOutput[] = []
+    const outpointKeys: string[] = []
+    const expiries: Record<string, number | undefined> = {}
+    for (const operation of latest.values()) {
+      if (operation.type !== 'set') continue
+      const options = operation.options ?? {}
+      const spent = inputs.filter((_, i) => inputKeys[i] === operation.key).map(input => input.outpoint)
+      const metadata = this.newMetadata(options, await this.createdAt(operation.key, spent, results.BEEF))
+      const lockingScript = await this.lockToken(pushdrop, operation.key, operation.value, metadata, options.readers)
+      outputs.push({
+        lockingScript: lockingScript.toHex(),
+        satoshis: options.satoshis ?? 1,
+        outputDescription: options.outputDescription ?? 'Key-value token',
+        basket: this.context,
+        tags: [operation.key]
+      })
+      outpointKeys.push(operation.key)
+      expiries[operation.key] = metadata.expiresAt
+    }
+    if (inputs.length === 0 && outputs.length === 0) {
+      return // Only removals of keys that do not exist
+    }
+    const description = `Update ${latest.size} key${latest.size === 1 ? '' : 's'} in ${this.context}`
+    let txid: string
+    if (inputs.length === 0) {
+      ({ txid } = await this.wallet.createAction({
+        description,
+        outputs,
+        options: {
+          acceptDelayedBroadcast: false,
+          randomizeOutputs: false
+        }
+      }))
+    } else {
+      const { signableTransaction } = await this.wallet.createAction({
+        description,
+        inputBEEF: results.BEEF,
+        inputs,
+        outputs: outputs.length !== 0 ? outputs : undefined,
+        options: {
+          acceptDelayedBroadcast: false,
+          randomizeOutputs: false
+        }
+      })
+      try {
+        const tx = Transaction.fromAtomicBEEF(signableTransaction.tx)
+        const spends: Record<number, SignActionSpend> = {}
+        for (let i = 0; i < inputs.length; i++) {
+          const unlocker = pushdrop.unlock(
+            [2, this.context],
+            inputKeys[i],
+            'self'
+          )
+          const unlockingScript = await unlocker.sign(tx, i)
+          spends[i] = {
+            unlockingScript: unlockingScript.toHex()
+          }
+        }
+        ({ txid } = await this.wallet.signAction({
+          reference: signableTransaction.reference,
+          spends
+        }))
+      } catch (e) {
+        await this.wallet.abortAction({ reference: signableTransaction.reference })
+        throw new Error(`Failed to sign the batch transaction, so no changes were made: ${(e as Error).message}`)
+      }
+    }
+    const outpoints: Record<string, OutpointString> = {}
+    for (let i = 0; i < outpointKeys.length; i++) {
+      outpoints[outpointKeys[i]] = `${txid}.${i}`
+    }
+    for (const key of keys) {
+      const spent = inputs.filter((_, i) => inputKeys[i] === key).map(input => input.outpoint)
+      this.emitLocal(key, spent, outpoints[key] !== undefined ? [outpoints[key]] : [])
+      const operation = latest.get(key)!
+      if (operation.type === 'set') {
+        await this.recache(key, outpoints[key], operation.value, expiries[key])
+      } else {
+        await this.uncache(key)
+      }
+    }
+    return { txid, outpoints }
+  }
+
+  /**
+   * Sets several keys atomically, in a single transaction.
+   *
+   * @param {Record<string, T>} values - The values to set, by key.
+   * @returns {Promise<Record<string, OutpointString>>} A promise that resolves to the outpoint of the new token for each key.
+   * @throws {Error} If the batch transaction cannot be signed.
+   */
+  async setMany(values: Record<string, T>): Promise<Record<string, OutpointString>> {
+    const result = await this.batch(Object.entries(values).map(([key, value]) => ({ type: 'set', key, value })))
+    return result ? result.outpoints : {}
+  }
+
+  /**
+   * Removes several keys atomically, in a single transaction. Keys that do not exist are ignored.
+   *
+   * @param {string[]} keys - The keys to remove.
+   * @returns {Promise<string | void>} A promise that resolves to the txid of the removal transaction, if there was anything to remove.
+   * @throws {Error} If the batch transaction cannot be signed.
+   */
+  async removeMany(keys: string[]): Promise<string | void> {
+    const result = await this.batch(keys.map(key => ({ type: 'remove', key })))
+    if (result) {
+      return result.txid
+    }
+  }
+
+  /**
+   * Spends the tokens of every expired entry in the context, in batched transactions, returning their satoshis to the wallet.
+   * A key is only swept once all of its tokens have expired. Tokens whose metadata is corrupt are not considered,
+   * but are spent along with the rest of their key's tokens.
+   *
+   * @param {number} [batchSize=100] - The most keys to spend in each transaction.
+   * @returns {Promise<string[]>} A promise that resolves to the keys that were swept.
+   * @throws {Error} If a batch transaction cannot be signed. Keys in earlier batches stay swept.
+   */
+  async sweep(batchSize = 100): Promise<string[]> {
+    const expired = new Map<string, boolean>()
+    for await (const { token } of this.scanOutputs(100)) {
+      if (token === undefined) continue
+      const metadata = await this.tryReadMetadata(token.key, token.fields)
+      if (metadata === undefined) continue
+      expired.set(token.key, (expired.get(token.key) ?? true) && this.hasExpired(metadata))
+    }
+    const keys = [...expired.keys()].filter(key => expired.get(key) === true)
+    await this.batchInChunks(keys.map(key => ({ type: 'remove', key })), batchSize)
+    return keys
+  }
+
+  /**
+   * Exports the token of a shared key so it can be handed to one of its readers.
+   *
+   * @param {string} key - The key to export.
+   * @returns {Promise<KVStoreSharedToken | undefined>} A promise that resolves to the token, or undefined if the key is not found.
+   * @throws {Error} If multiple outputs are found for the key, if the wallet does not return the transaction of its token,
+   *   or if its value is not shared.
+   */
+  async exportToken(key: string): Promise<KVStoreSharedToken | undefined> {
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: [key],
+      include: 'entire transactions'
+    })
+    if (results.outputs.length === 0) {
+      return undefined
+    }
+    if (results.outputs.length > 1) {
+      throw new Error('Multiple tokens found for this key. You need to call set to collapse this ambiguous state before you can export it.')
+    }
+    const beef = Beef.fromBinary(results.BEEF!)
+    const { outpoint } = results.outputs[0]
+    const [txid, vout] = outpoint.split('.')
+    const lockingScript = beef.findTxid(txid)?.tx?.outputs[Number(vout)]?.lockingScript.toHex()
+    if (lockingScript === undefined) {
+      throw new Error(`The wallet did not return the transaction of the ${outpoint} output.`)
+    }
+    const fields = this.decodeFields({ outpoint, lockingScript })
+    if (this.formatVersion(fields) !== SHARED_FORMAT_VERSION) {
+      throw new Error(`The value for ${key} is not shared with any readers. Set it with readers before exporting it.`)
+    }
+    const { publicKey: owner } = await this.wallet.getPublicKey({ identityKey: true })
+    return {
+      context: this.context,
+      key,
+      owner,
+      outpoint,
+      beef: beef.toBinaryAtomic(txid)
+    }
+  }
+
+  /**
+   * Reads a token that another identity shared with this wallet and exported with exportToken.
+   * The transaction is decoded from its BEEF as it is, without checking it against the chain.
+   *
+   * @param {KVStoreSharedToken} token - The exported token.
+   * @returns {Promise<T>} A promise that resolves to the value, decoded with this store's codec.
+   * @throws {Error} If the token is malformed, not shared, or not shared with this identity.
+   */
+  async readShared(token: KVStoreSharedToken): Promise<T> {
+    const [txid, vout] = token.outpoint.split('.')
+    const tx = Transaction.fromAtomicBEEF(token.beef)
+    const output = tx.id('hex') === txid ? tx.outputs[Number(vout)] : undefined
+    if (output === undefined) {
+      throw new Error(`The shared token BEEF does not contain the ${token.outpoint} output.`)
+    }
+    const fields = this.decodeFields({ outpoint: token.outpoint, lockingScript: output.lockingScript.toHex() })
+    if (this.formatVersion(fields) !== SHARED_FORMAT_VERSION) {
+      throw new Error(`The value for ${token.key} is not shared with any readers.`)
+    }
+    return await this.readValue(token.key, fields, token.context, token.owner)
+  }
+
+  /**
+   * Exports every key-value pair in the context as a signed snapshot, together with the BEEF of their tokens.
+   * Outputs that cannot be decoded as key-value tokens or whose metadata is corrupt are skipped, and so are expired entries.
+   *
+   * @returns {Promise<KVStoreSnapshot>} A promise that resolves to the snapshot.
+   * @throws {Error} If a value was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async exportContext(): Promise<KVStoreSnapshot> {
+    const beef = new Beef()
+    const entries: KVStoreSnapshot['entries'] = []
+    for await (const { outpoint, satoshis, token } of this.scanOutputs(100, beef)) {
+      if (token === undefined) continue
+      const metadata = await this.tryReadMetadata(token.key, token.fields)
+      if (metadata === undefined || this.hasExpired(metadata)) continue
+      const value = await this.readValue(token.key, token.fields)
+      entries.push({ key: token.key, value: Utils.toHex(this.codec.encode(value)), outpoint, metadata, satoshis })
+    }
+    const { publicKey: signer } = await this.wallet.getPublicKey({ identityKey: true })
+    const snapshot: Omit<KVStoreSnapshot, 'signature'> = {
+      context: this.context,
+      codec: this.codec.name,
+      entries,
+      beef: Utils.toHex(beef.toBinary()),
+      signer
+    }
+    const { signature } = await this.wallet.createSignature({
+      data: this.snapshotData(snapshot),
+      protocolID: SNAPSHOT_PROTOCOL_ID,
+      keyID: this.context,
+      counterparty: 'anyone'
+    })
+    return { ...snapshot, signature: Utils.toHex(signature) }
+  }
+
+  /**
+   * Recreates the key-value pairs of a snapshot in this context, in batched transactions.
+   * Keys that already exist are overwritten, and the snapshot's own tokens are left as they are.
+   * Metadata and the satoshis of each token are kept, and entries that have expired since the export are skipped.
+   * The signer named in a snapshot is only trusted when it is the expected one, since anyone can re-sign a snapshot
+   * under their own key.
+   *
+   * @param {KVStoreSnapshot} snapshot - A snapshot produced by exportContext, possibly from another context or wallet.
+   * @param {object} [options] - Import options.
+   * @param {PubKeyHex} [options.expectedSigner] - The identity key the snapshot must be signed by. Defaults to this wallet's identity key.
+   * @param {number} [options.batchSize=100] - The most keys to write in each transaction.
+   * @returns {Promise<Record<string, OutpointString>>} A promise that resolves to the new outpoint of each key.
+   * @throws {Error} If the snapshot was not signed by the expected signer, its signature is invalid, or it was written with a different codec.
+   */
+  async importContext(snapshot: KVStoreSnapshot, options: { expectedSigner?: PubKeyHex, batchSize?: number } = {}): Promise<Record<string, OutpointString>> {
+    const expectedSigner = options.expectedSigner ?? (await this.wallet.getPublicKey({ identityKey: true })).publicKey
+    if (snapshot.signer !== expectedSigner) {
+      throw new Error(`The snapshot is signed by ${snapshot.signer}, not by the expected signer ${expectedSigner}.`)
+    }
+    try {
+      await new ProtoWallet('anyone').verifySignature({
+        data: this.snapshotData(snapshot),
+        signature: Utils.toArray(snapshot.signature, 'hex'),
+        protocolID: SNAPSHOT_PROTOCOL_ID,
+        keyID: snapshot.context,
+        counterparty: snapshot.signer
+      })
+    } catch (_) {
+      throw new Error('The snapshot signature does not match its contents and signer.')
+    }
+    if (snapshot.codec !== this.codec.name) {
+      throw new Error(`The snapshot was written with the ${snapshot.codec} codec, but this store reads values with the ${this.codec.name} codec.`)
+    }
+    return await this.batchInChunks(snapshot.entries.filter(({ metadata }) => !this.hasExpired(metadata)).map(({ key, value, metadata, satoshis }) => ({
+      type: 'set',
+      key,
+      value: this.codec.decode(Utils.toArray(value, 'hex')),
+      options: { ...this.keptOptions(metadata), satoshis }
+    })), options.batchSize ?? 100)
+  }
+
+  /**
+   * Moves every key-value pair into another context, or re-encrypts them in place when the context is the same.
+   * The pairs are written under the new context's protocol ID before the old tokens are spent, so an interruption
+   * leaves them in both contexts rather than in neither. Metadata and the satoshis of each token are kept,
+   * output descriptions are reset, expired entries are left behind, and shared values become private to the owner.
+   *
+   * @param {string} newContext - The context to move to. It may be this store's own context.
+   * @param {object} [options] - Migration options.
+   * @param {boolean} [options.encrypt] - Whether the new tokens are encrypted. Defaults to this store's setting.
+   * @param {number} [options.batchSize=100] - The most keys to write or spend in each transaction.
+   * @returns {Promise<LocalKVStore<T>>} A promise that resolves to a store for the new context, with this store's codec and conflict policy.
+   * @throws {Error} If a value was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async migrate(newContext: string, options: { encrypt?: boolean, batchSize?: number } = {}): Promise<LocalKVStore<T>> {
+    const target = new LocalKVStore<T>(this.wallet, newContext, options.encrypt ?? this.encrypt, {
+      codec: this.codec,
+      conflictPolicy: this.conflictPolicy
+    })
+    const entries = await this.entries()
+    // Within the same context, writing a key spends its old token
+    await target.batchInChunks(entries.map(({ key, value, metadata, satoshis }) => ({
+      type: 'set',
+      key,
+      value,
+      options: { ...this.keptOptions(metadata), satoshis }
+    })), options.batchSize ?? 100)
+    if (newContext !== this.context) {
+      await this.batchInChunks(entries.map(({ key }) => ({ type: 'remove', key })), options.batchSize ?? 100)
+    }
+    return target
+  }
+
+  /**
+   * Collapses the tokens of a key into one, choosing the value to keep with a conflict policy.
+   * The new token keeps the metadata, satoshis and readers of the token whose value was chosen,
+   * or of the most recent one if a custom policy merged the values. Outputs that cannot be decoded as tokens are spent
+   * along with the others. If every token has expired, the key is removed, spending all of its outputs; if none of
+   * them can be decoded, they are relinquished instead.
+   *
+   * @param {string} key - The key whose tokens to collapse.
+   * @param {KVStoreConflictPolicy<T>} [conflictPolicy] - How to choose the value. Defaults to the store's policy, or 'last' if that is 'throw'.
+   * @returns {Promise<KVStoreRepairReport>} A promise that resolves to a report of what was collapsed, removed or relinquished.
+   * @throws {Error} If a token cannot be decrypted, or its value was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async resolveConflicts(key: string, conflictPolicy?: KVStoreConflictPolicy<T>): Promise<KVStoreRepairReport> {
+    const report: KVStoreRepairReport = { collapsed: [], removed: [], relinquished: [] }
+    await this.collapse(key, conflictPolicy, report)
+    if (report.removed.length > 0) {
+      await this.batch([{ type: 'remove', key }])
+    }
+    return report
+  }
+
+  /**
+   * Scans the whole context, relinquishing outputs that cannot be decoded as key-value tokens
+   * and collapsing every key held by more than one token. Keys whose tokens have all expired are removed
+   * together in batched transactions. Nothing is relinquished because the wallet failed to decrypt it.
+   *
+   * @param {KVStoreConflictPolicy<T>} [conflictPolicy] - How to choose the value of each collapsed key. Defaults to the store's policy, or 'last' if that is 'throw'.
+   * @returns {Promise<KVStoreRepairReport>} A promise that resolves to a report of what was collapsed, removed or relinquished.
+   * @throws {Error} If a token cannot be decrypted, or its value was written with a different codec or cannot be decoded by this store's codec.
+   */
+  async repair(conflictPolicy?: KVStoreConflictPolicy<T>): Promise<KVStoreRepairReport> {
+    const report: KVStoreRepairReport = { collapsed: [], removed: [], relinquished: [] }
+    const undecodable: OutpointString[] = []
+    const tokenCounts = new Map<string, number>()
+    for await (const { outpoint, token } of this.scanOutputs(100)) {
+      if (token === undefined) {
+        undecodable.push(outpoint)
+      } else {
+        tokenCounts.set(token.key, (tokenCounts.get(token.key) ?? 0) + 1)
+      }
+    }
+    // Act only once the scan is done, since spending outputs shifts the pages being listed
+    for (const outpoint of undecodable) {
+      await this.wallet.relinquishOutput({
+        output: outpoint,
+        basket: this.context
+      })
+      report.relinquished.push(outpoint)
+    }
+    for (const [key, count] of tokenCounts) {
+      if (count < 2) continue
+      await this.collapse(key, conflictPolicy, report)
+    }
+    await this.batchInChunks(report.removed.map(({ key }) => ({ type: 'remove', key })), 100)
+    return report
+  }
+
+  /**
+   * Subscribes a listener to every change in the context.
+   * Remote changes are only reported while polling (see startPolling) or when poll is called.
+   *
+   * @param {'change'} event - The event to listen for.
+   * @param {KVStoreChangeListener} listener - The function to call with each change.
+   */
+  on(event: 'change', listener: KVStoreChangeListener): void {
+    this.listeners.add(listener)
+  }
+
+  /**
+   * Unsubscribes a listener added with on.
+   *
+   * @param {'change'} event - The event the listener was added for.
+   * @param {KVStoreChangeListener} listener - The listener to remove.
+   */
+  off(event: 'change', listener: KVStoreChangeListener): void {
+    this.listeners.delete(listener)
+  }
+
+  /**
+   * Subscribes a callback to the changes of a single key, or of every key under a prefix.
+   *
+   * @param {string | { prefix: string }} target - The exact key to watch, or an object naming a key prefix.
+   * @param {KVStoreChangeListener} callback - The function to call with each matching change.
+   * @returns {() => void} A function that ends the subscription.
+   */
+  watch(target: string | { prefix: string }, callback: KVStoreChangeListener): () => void {
+    const listener: KVStoreChangeListener = event => {
+      if (typeof target === 'string' ? event.key === target : event.key.startsWith(target.prefix)) {
+        callback(event)
+      }
+    }
+    this.on('change', listener)
+    return () => this.off('change', listener)
+  }
+
+  /**
+   * Diffs the tokens currently in the context against those seen by the previous poll, reporting
+   * every difference to listeners as a remote change. The first poll only records the current state.
+   *
+   * @returns {Promise<KVStoreChangeEvent[]>} A promise that resolves to the changes found.
+   */
+  async poll(): Promise<KVStoreChangeEvent[]> {
+    const current = new Map<OutpointString, string>()
+    for await (const { key, outpoint } of this.scan({})) {
+      current.set(outpoint, key)
+    }
+    const previous = this.snapshot
+    this.snapshot = current
+    if (previous === undefined) {
+      return []
+    }
+    const changes = new Map<string, { oldOutpoints: OutpointString[], newOutpoints: OutpointString[] }>()
+    const changeFor = (key: string) => {
+      if (!changes.has(key)) changes.set(key, { oldOutpoints: [], newOutpoints: [] })
+      return changes.get(key)!
+    }
+    for (const [outpoint, key] of previous) {
+      if (!current.has(outpoint)) changeFor(key).oldOutpoints.push(outpoint)
+    }
+    for (const [outpoint, key] of current) {
+      if (!previous.has(outpoint)) changeFor(key).newOutpoints.push(outpoint)
+    }
+    const events: KVStoreChangeEvent[] = []
+    for (const [key, { oldOutpoints, newOutpoints }] of changes) {
+      await this.uncache(key)
+      const event = this.changeEvent(key, oldOutpoints, newOutpoints, true)
+      events.push(event)
+      this.emit(event)
+    }
+    return events
+  }
+
+  /**
+   * Starts polling the context for remote changes at a fixed interval, replacing any running poll.
+   * An interval is skipped if the previous poll has not finished yet.
+   * Call stopPolling when done, since a running timer keeps Node.js processes alive.
+   *
+   * @param {number} [interval=5000] - The time between polls, in milliseconds.
+   */
+  startPolling(interval = 5000): void {
+    this.stopPolling()
+    this.pollTimer = setInterval(() => {
+      if (this.polling) return
+      this.polling = true
+      this.poll().catch(() => {
+        // A failed poll is retried at the next interval
+      }).finally(() => {
+        this.polling = false
+      })
+    }, interval)
+  }
+
+  /**
+   * Stops polling for remote changes.
+   */
+  stopPolling(): void {
+    if (this.pollTimer !== undefined) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = undefined
+    }
+  }
+
+  /**
+   * Applies operations as a series of batches of at most the given size, returning the new outpoints of every batch.
+   * @private
+   */
+  private async batchInChunks(operations: Array<KVStoreBatchOperation<T>>, batchSize: number): Promise<Record<string, OutpointString>> {
+    const outpoints: Record<string, OutpointString> = {}
+    for (let i = 0; i < operations.length; i += batchSize) {
+      const result = await this.batch(operations.slice(i, i + batchSize))
+      if (result) {
+        Object.assign(outpoints, result.outpoints)
+      }
+    }
+    return outpoints
+  }
+
+  /**
+   * Returns the bytes a snapshot signature covers: the JSON of every property but the signature, in a fixed order.
+   * @private
+   */
+  private snapshotData(snapshot: Omit<KVStoreSnapshot, 'signature'>): number[] {
+    const { context, codec, entries, beef, signer } = snapshot
+    return Utils.toArray(JSON.stringify({ context, codec, entries, beef, signer }), 'utf8')
+  }
+
+  /**
+   * Collapses the tokens of a key as resolveConflicts describes, adding what was done to the report.
+   * A key whose tokens have all expired is only added to the removed keys, for the caller to remove.
+   * @private
+   */
+  private async collapse(key: string, conflictPolicy: KVStoreConflictPolicy<T> | undefined, report: KVStoreRepairReport): Promise<void> {
+    const { candidates, outpoints, expired, kept } = await this.listCandidates(key)
+    if (outpoints.length === 0 || (outpoints.length === 1 && candidates.length === 1)) {
+      return // Nothing ambiguous or corrupted
+    }
+    if (candidates.length === 0) {
+      if (expired.length > 0) {
+        // Expired tokens can still be spent, which returns their satoshis along with those of any unreadable ones
+        report.removed.push({ key, oldOutpoints: outpoints })
+        return
+      }
+      for (const outpoint of outpoints) {
+        await this.wallet.relinquishOutput({
+          output: outpoint,
+          basket: this.context
+        })
+        report.relinquished.push(outpoint)
+      }
+      this.emitLocal(key, outpoints, [])
+      await this.uncache(key)
+      return
+    }
+    const value = await this.resolve(candidates, conflictPolicy ?? (this.conflictPolicy === 'throw' ? 'last' : this.conflictPolicy))
+    const chosen = candidates.find(candidate => candidate.value === value) ?? this.latest(candidates)
+    const newOutpoint = await this.set(key, value, kept[chosen.outpoint])
+    report.collapsed.push({ key, oldOutpoints: outpoints, newOutpoint })
+  }
+
+  /**
+   * Lists every token of a key with its value and block height, in the order the wallet lists them.
+   * Expired tokens, outputs that cannot be decoded and tokens with corrupt metadata are left out of the candidates but included in the outpoints,
+   * and expired ones are also listed on their own. The options that keep each candidate's metadata and readers
+   * when it is rewritten are returned by outpoint.
+   * @private
+   */
+  private async listCandidates(key: string): Promise<{
+    candidates: Array<KVStoreConflictCandidate<T>>
+    outpoints: OutpointString[]
+    expired: OutpointString[]
+    kept: Record<OutpointString, KVStoreSetOptions>
+  }> {
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: [key],
+      include: 'entire transactions'
+    })
+    const outpoints = results.outputs.map(output => output.outpoint)
+    if (outpoints.length === 0) {
+      return { candidates: [], outpoints, expired: [], kept: {} }
+    }
+    const beef = Beef.fromBinary(results.BEEF!)
+    const candidates: Array<KVStoreConflictCandidate<T>> = []
+    const expired: OutpointString[] = []
+    const kept: Record<OutpointString, KVStoreSetOptions> = {}
+    for (const { outpoint, satoshis } of results.outputs) {
+      const [txid, vout] = outpoint.split('.')
+      const lockingScript = beef.findTxid(txid)?.tx?.outputs[Number(vout)]?.lockingScript.toHex()
+      if (lockingScript === undefined) {
+        throw new Error(`The wallet did not return the transaction of the ${outpoint} output.`)
+      }
+      let fields: number[][]
+      try {
+        fields = this.decodeFields({ outpoint, lockingScript })
+      } catch (_) {
+        continue // Undecodable outputs cannot be candidates, but are still spent when collapsing
+      }
+      // Wallet and codec errors are not corruption, so they fail the collapse rather than lose the token
+      const metadata = await this.tryReadMetadata(key, fields)
+      if (metadata === undefined) {
+        continue // Corrupt metadata is treated like an undecodable output
+      }
+      if (this.hasExpired(metadata)) {
+        expired.push(outpoint)
+        continue
+      }
+      const value = await this.readValue(key, fields)
+      kept[outpoint] = { ...this.keptOptions(metadata), satoshis, readers: await this.readReaders(key, fields) }
+      candidates.push({ value, outpoint, blockHeight: beef.findBump(txid)?.blockHeight, updatedAt: metadata.updatedAt })
+    }
+    return { candidates, outpoints, expired, kept }
+  }
+
+  /**
+   * Chooses a single value from the candidates for a key according to a conflict policy.
+   * @private
+   */
+  private async resolve(candidates: Array<KVStoreConflictCandidate<T>>, conflictPolicy: KVStoreConflictPolicy<T>): Promise<T> {
+    if (typeof conflictPolicy === 'function') {
+      return await conflictPolicy(candidates)
+    }
+    if (conflictPolicy === 'throw' && candidates.length > 1) {
+      throw new Error('Multiple tokens found for this key. You need to call set to collapse this ambiguous state before you can get this value again.')
+    }
+    if (conflictPolicy === 'last') {
+      return this.latest(candidates).value
+    }
+    return candidates[0].value
+  }
+
+  /**
+   * Returns the most recently written candidate, as the 'last' conflict policy orders them.
+   * @private
+   */
+  private latest(candidates: Array<KVStoreConflictCandidate<T>>): KVStoreConflictCandidate<T> {
+    let latest = candidates[0]
+    for (const candidate of candidates.slice(1)) {
+      const updatedAt = candidate.updatedAt ?? -Infinity
+      const latestUpdatedAt = latest.updatedAt ?? -Infinity
+      if (updatedAt !== latestUpdatedAt) {
+        if (updatedAt > latestUpdatedAt) latest = candidate
+        continue
+      }
+      const height = candidate.blockHeight ?? Infinity
+      const latestHeight = latest.blockHeight ?? Infinity
+      if (height >= latestHeight) latest = candidate
+    }
+    return latest
+  }
+
+  /**
+   * Returns the cache key of a key, namespaced by context, codec and encryption since backends may be shared
+   * between stores that read the same tokens differently.
+   * @private
+   */
+  private cacheKey(key: string): string {
+    return JSON.stringify([this.context, this.codec.name, this.encrypt, key])
+  }
+
+  /**
+   * Records the value held by the token at an outpoint in the cache, if caching is enabled.
+   * @private
+   */
+  private async recache(key: string, outpoint: OutpointString, value: T, expiresAt?: number): Promise<void> {
+    if (this.cache !== undefined) {
+      await this.cache.set(this.cacheKey(key), { outpoint, value, cachedAt: Date.now(), expiresAt })
+    }
+  }
+
+  /**
+   * Drops the cached value of a key, if caching is enabled.
+   * @private
+   */
+  private async uncache(key: string): Promise<void> {
+    if (this.cache !== undefined) {
+      await this.cache.delete(this.cacheKey(key))
+    }
+  }
+
+  /**
+   * Builds the event describing a change to a key.
+   * @private
+   */
+  private changeEvent(key: string, oldOutpoints: OutpointString[], newOutpoints: OutpointString[], remote: boolean): KVStoreChangeEvent {
+    const type = newOutpoints.length === 0 ? 'remove' : oldOutpoints.length > 1 ? 'collapse' : 'set'
+    return { type, key, oldOutpoints, newOutpoints, remote }
+  }
+
+  /**
+   * Reports a change made by this store, keeping the poll snapshot in step so it is not reported again as remote.
+   * @private
+   */
+  private emitLocal(key: string, oldOutpoints: OutpointString[], newOutpoints: OutpointString[]): void {
+    if (oldOutpoints.length === 0 && newOutpoints.length === 0) {
+      return
+    }
+    if (this.snapshot !== undefined) {
+      oldOutpoints.forEach(outpoint => this.snapshot!.delete(outpoint))
+      newOutpoints.forEach(outpoint => this.snapshot!.set(outpoint, key))
+    }
+    this.emit(this.changeEvent(key, oldOutpoints, newOutpoints, false))
+  }
+
+  /**
+   * Calls every listener with an event. A throwing listener does not affect the others or the change itself.
+   * @private
+   */
+  private emit(event: KVStoreChangeEvent): void {
+    for (const listener of this.listeners) {
+      try {
+        listener(event)
+      } catch (_) {
+        // Listener errors are the listener's concern
+      }
+    }
+  }
+
+  /**
+   * Builds the PushDrop locking script of a token holding the given key, the encoded value, the codec format
+   * and the metadata. When readers are given, the value field is a shared envelope instead.
+   * @private
+   */
+  private async lockToken(pushdrop: PushDrop, key: string, value: T, metadata: KVStoreMetadata, readers?: PubKeyHex | PubKeyHex[]): Promise<LockingScript> {
+    const shared = readers !== undefined
+    const version = (shared ? SHARED_FORMAT_VERSION : FORMAT_VERSION) | METADATA_FLAG
+    const codecID = BUILT_IN_CODEC_IDS[this.codec.name]
+    const format = codecID !== undefined
+      ? [version, codecID]
+      : [version, CUSTOM_CODEC_ID, ...Utils.toArray(this.codec.name, 'utf8')]
+    const encoded = this.codec.encode(value)
+    return await pushdrop.lock(
+      [
+        await this.writeField(Utils.toArray(key, 'utf8'), KEY_FIELD_KEY_ID),
+        shared
+          ? await this.sealEnvelope(encoded, key, Array.isArray(readers) ? readers : [readers])
+          : await this.writeField(encoded, key),
+        format,
+        await this.writeField(Utils.toArray(JSON.stringify(metadata), 'utf8'), key)
+      ],
+      [2, this.context],
+      key,
+      'self'
+    )
+  }
+
+  /**
+   * Builds the metadata of a value being written now, keeping the creation time of the key if it already existed
+   * or one is given in the options.
+   * @private
+   */
+  private newMetadata(options: KVStoreSetOptions, createdAt?: number): KVStoreMetadata {
+    const now = Date.now()
+    return {
+      contentType: options.contentType,
+      labels: options.labels,
+      createdAt: options.createdAt ?? createdAt ?? now,
+      updatedAt: now,
+      expiresAt: options.expiresAt ?? (options.ttl !== undefined ? now + options.ttl : undefined)
+    }
+  }
+
+  /**
+   * Returns the options that carry the content type, labels, creation time and expiry time of existing metadata over to a new token.
+   * @private
+   */
+  private keptOptions({ contentType, labels, createdAt, expiresAt }: KVStoreMetadata): KVStoreSetOptions {
+    return { contentType, labels, createdAt, expiresAt }
+  }
+
+  /**
+   * Finds when a key was first set from the metadata of its current tokens, whose transactions are in the given BEEF.
+   * Returns undefined if the key has no tokens or their metadata cannot be read, so the key counts as new.
+   * @private
+   */
+  private async createdAt(key: string, outpoints: OutpointString[], BEEF?: number[]): Promise<number | undefined> {
+    if (outpoints.length === 0 || BEEF === undefined) {
+      return undefined
+    }
+    let createdAt: number | undefined
+    try {
+      const beef = Beef.fromBinary(BEEF)
+      for (const outpoint of outpoints) {
+        const [txid, vout] = outpoint.split('.')
+        const lockingScript = beef.findTxid(txid)!.tx!.outputs[Number(vout)].lockingScript.toHex()
+        const metadata = await this.readMetadata(key, this.decodeFields({ outpoint, lockingScript }))
+        if (metadata.createdAt !== undefined && (createdAt === undefined || metadata.createdAt < createdAt)) {
+          createdAt = metadata.createdAt
+        }
+      }
+    } catch (_) {
+      return undefined
+    }
+    return createdAt
+  }
+
+  /**
+   * Reads the metadata field of a decoded token, which is empty for tokens written before metadata was recorded.
+   * @private
+   */
+  private async readMetadata(key: string, fields: number[][]): Promise<KVStoreMetadata> {
+    const metadata = await this.tryReadMetadata(key, fields)
+    if (metadata === undefined) {
+      throw new Error(`The metadata for ${key} is corrupt. You need to call set to replace the corrupted token before you can get this value again.`)
+    }
+    return metadata
+  }
+
+  /**
+   * Reads the metadata field of a decoded token, returning undefined if it is corrupt so that listings can skip the token.
+   * Errors decrypting the field are thrown, since they come from the wallet rather than the token.
+   * @private
+   */
+  private async tryReadMetadata(key: string, fields: number[][]): Promise<KVStoreMetadata | undefined> {
+    if ((fields[2][0] & METADATA_FLAG) === 0) {
+      return {}
+    }
+    const plaintext = await this.readField(fields[3], key)
+    try {
+      const metadata = JSON.parse(Utils.toUTF8(plaintext))
+      return typeof metadata === 'object' && metadata !== null ? metadata : undefined
+    } catch (_) {
+      return undefined
+    }
+  }
+
+  /**
+   * Checks whether an entry with the given expiry time has expired.
+   * @private
+   */
+  private hasExpired({ expiresAt }: { expiresAt?: number }): boolean {
+    return expiresAt !== undefined && expiresAt <= Date.now()
+  }
+
+  /**
+   * Returns the format version of a decoded token, without the metadata flag.
+   * @private
+   */
+  private formatVersion(fields: number[][]): number {
+    return fields[2][0] & ~METADATA_FLAG
+  }
+
+  /**
+   * Decodes the fields of a key-value token output, which are the key, the value, the format and,
+   * if the format says so, the metadata. A trailing PushDrop signature, if present, is ignored.
+   * @private
+   */
+  private decodeFields(output: Pick<WalletOutput, 'outpoint' | 'lockingScript'>): number[][] {
+    try {
+      const decoded = PushDrop.decode(LockingScript.fromHex(output.lockingScript!))
+      const fieldCount = ((decoded.fields[2]?.[0] ?? 0) & METADATA_FLAG) !== 0 ? 4 : 3
+      if (decoded.fields.length !== fieldCount && decoded.fields.length !== fieldCount + 1) {
+        throw new Error('Invalid token.')
+      }
+      return decoded.fields
+    } catch (_) {
+      throw new Error(`Invalid value found. You need to call set to collapse the corrupted state (or relinquish the corrupted ${output.outpoint} output from the ${this.context} basket) before you can get this value again.`)
+    }
+  }
+
+  /**
+   * Encrypts a token field under the given key ID if encryption is enabled.
+   * @private
+   */
+  private async writeField(plaintext: number[], keyID: string): Promise<number[]> {
+    if (!this.encrypt) {
+      return plaintext
+    }
+    const { ciphertext } = await this.wallet.encrypt({
+      plaintext,
+      protocolID: [2, this.context],
+      keyID
+    })
+    return ciphertext
+  }
+
+  /**
+   * Decrypts a token field under the given key ID if encryption is enabled.
+   * @private
+   */
+  private async readField(field: number[], keyID: string): Promise<number[]> {
+    if (!this.encrypt) {
+      return field
+    }
+    const { plaintext } = await this.wallet.decrypt({
+      protocolID: [2, this.context],
+      keyID,
+      ciphertext: field
+    })
+    return plaintext
+  }
+
+  /**
+   * Encrypts an encoded value under a random symmetric key, and that key for the owner and each reader,
+   * returning the shared envelope to store as the value field.
+   * @private
+   */
+  private async sealEnvelope(plaintext: number[], key: string, readers: PubKeyHex[]): Promise<number[]> {
+    const { ciphertext: readerList } = await this.wallet.encrypt({
+      plaintext: Utils.toArray(JSON.stringify(readers), 'utf8'),
+      protocolID: [2, this.context],
+      keyID: key,
+      counterparty: 'self'
+    })
+    const symmetricKey = SymmetricKey.fromRandom()
+    const keys: Record<string, string> = {}
+    for (const counterparty of ['self', ...readers]) {
+      const { ciphertext } = await this.wallet.encrypt({
+        plaintext: symmetricKey.toArray('be', 32),
+        protocolID: [2, this.context],
+        keyID: key,
+        counterparty
+      })
+      // The owner listed as a reader gets the same tag as 'self', so it is stored once
+      keys[await this.readerTag(key, this.context, counterparty)] = Utils.toHex(ciphertext)
+    }
+    const envelope: SharedEnvelope = {
+      keys,
+      ciphertext: Utils.toHex(symmetricKey.encrypt(plaintext) as number[]),
+      readers: Utils.toHex(readerList)
+    }
+    return Utils.toArray(JSON.stringify(envelope), 'utf8')
+  }
+
+  /**
+   * Reads the readers a token this wallet wrote is shared with, or undefined if it is not shared.
+   * @private
+   */
+  private async readReaders(key: string, fields: number[][]): Promise<PubKeyHex[] | undefined> {
+    if (this.formatVersion(fields) !== SHARED_FORMAT_VERSION) {
+      return undefined
+    }
+    const envelope: SharedEnvelope = JSON.parse(Utils.toUTF8(fields[1]))
+    if (envelope.readers === undefined) {
+      return undefined
+    }
+    const { plaintext } = await this.wallet.decrypt({
+      protocolID: [2, this.context],
+      keyID: key,
+      counterparty: 'self',
+      ciphertext: Utils.toArray(envelope.readers, 'hex')
+    })
+    return JSON.parse(Utils.toUTF8(plaintext))
+  }
+
+  /**
+   * Computes the tag under which the key shared between this wallet and a counterparty is stored in an envelope.
+   * The owner computes it with the reader as the counterparty, and the reader with the owner.
+   * @private
+   */
+  private async readerTag(key: string, context: string, counterparty: PubKeyHex | 'self'): Promise<string> {
+    const { hmac } = await this.wallet.createHmac({
+      data: Utils.toArray(READER_TAG_DATA, 'utf8'),
+      protocolID: [2, context],
+      keyID: key,
+      counterparty
+    })
+    return Utils.toHex(hmac)
+  }
+
+  /**
+   * Decrypts the value held in a shared envelope with the symmetric key encrypted for this wallet's identity.
+   * The owner is undefined when this wallet wrote the envelope.
+   * @private
+   */
+  private async openEnvelope(field: number[], key: string, context: string, owner?: PubKeyHex): Promise<number[]> {
+    let envelope: SharedEnvelope
+    try {
+      envelope = JSON.parse(Utils.toUTF8(field))
+    } catch (_) {
+      throw new Error(`The shared value for ${key} is malformed.`)
+    }
+    const counterparty = owner ?? 'self'
+    const wrappedKey = envelope.keys?.[await this.readerTag(key, context, counterparty)]
+    if (wrappedKey === undefined) {
+      throw new Error(`The value for ${key} is not shared with this identity.`)
+    }
+    const { plaintext } = await this.wallet.decrypt({
+      protocolID: [2, context],
+      keyID: key,
+      counterparty,
+      ciphertext: Utils.toArray(wrappedKey, 'hex')
+    })
+    return new SymmetricKey(plaintext).decrypt(Utils.toArray(envelope.ciphertext, 'hex')) as number[]
+  }
+
+  /**
+   * Reads the value of a decoded token, checking that it was written with this store's codec before decoding it.
+   * Shared values are decrypted under the given context and owner, which are another store's for tokens read with readShared.
+   * @private
+   */
+  private async readValue(key: string, fields: number[][], context = this.context, owner?: PubKeyHex): Promise<T> {
+    const format = fields[2]
+    const version = this.formatVersion(fields)
+    if (version !== FORMAT_VERSION && version !== SHARED_FORMAT_VERSION) {
+      throw new Error(`The token for ${key} uses an unsupported format version (${version}). You may need a newer version of this library to read it.`)
+    }
+    const codecName = format[1] === CUSTOM_CODEC_ID
+      ? Utils.toUTF8(format.slice(2))
+      : Object.keys(BUILT_IN_CODEC_IDS).find(name => BUILT_IN_CODEC_IDS[name] === format[1])
+    if (codecName !== this.codec.name) {
+      throw new Error(`The value for ${key} was written with the ${codecName ?? 'unknown'} codec, but this store reads values with the ${this.codec.name} codec.`)
+    }
+    const bytes = version === SHARED_FORMAT_VERSION
+      ? await this.openEnvelope(fields[1], key, context, owner)
+      : await this.readField(fields[1], key)
+    try {
+      return this.codec.decode(bytes)
+    } catch (e) {
+      throw new Error(`The value for ${key} could not be decoded with the ${this.codec.name} codec: ${(e as Error).message}`)
+    }
+  }
+
+  /**
+   * Walks back from the current token(s) of a key through their spent inputs, collecting every earlier
+   * token of the same key found in the wallet's BEEF. Inputs that are not tokens of this key are skipped.
+   * @private
+   */
+  private async walkHistory(key: string): Promise<Array<KVStoreHistoryEntry<T>>> {
+    const results = await this.wallet.listOutputs({
+      basket: this.context,
+      tags: [key],
+      include: 'entire transactions'
+    })
+    if (results.outputs.length === 0) {
+      return []
+    }
+    const beef = Beef.fromBinary(results.BEEF!)
+    const entries: Array<KVStoreHistoryEntry<T>> = []
+    const visited = new Set<OutpointString>()
+    const pending: Array<{ tx: Transaction | undefined, vout: number, isCurrent: boolean }> = results.outputs.map(output => {
+      const [txid, vout] = output.outpoint.split('.')
+      return { tx: beef.findAtomicTransaction(txid), vout: Number(vout), isCurrent: true }
+    })
+    while (pending.length !== 0) {
+      const { tx, vout, isCurrent } = pending.shift()!
+      if (tx === undefined) continue
+      const txid = tx.id('hex')
+      const outpoint = `${txid}.${vout}`
+      if (visited.has(outpoint)) continue
+      visited.add(outpoint)
+      let fields: number[][]
+      try {
+        fields = this.decodeFields({ outpoint, lockingScript: tx.outputs[vout].lockingScript.toHex() })
+        // Inputs may be tokens of other keys (from batches) or funding, so only follow this key's tokens
+        if (!isCurrent && Utils.toUTF8(await this.readField(fields[0], KEY_FIELD_KEY_ID)) !== key) continue
+      } catch (e) {
+        if (isCurrent) throw e
+        continue
+      }
+      entries.push({
+        value: await this.readValue(key, fields),
+        txid,
+        outpoint,
+        blockHeight: tx.merklePath?.blockHeight
+      })
+      for (const input of tx.inputs) {
+        pending.push({ tx: input.sourceTransaction, vout: input.sourceOutputIndex, isCurrent: false })
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Walks every token in the context page by page, recovering its key and yielding those
+   * that match the prefix and range filters. Undecodable outputs are skipped.
+   * @private
+   */
+  private async * scan(options: KVStoreListOptions): AsyncGenerator<{ key: string, fields: number[][], outpoint: OutpointString, satoshis: number }> {
+    for await (const { outpoint, satoshis, token } of this.scanOutputs(options.pageSize ?? 100)) {
+      if (token === undefined) continue
+      const { key, fields } = token
+      if (options.prefix !== undefined && !key.startsWith(options.prefix)) continue
+      if (options.start !== undefined && key < options.start) continue
+      if (options.end !== undefined && key >= options.end) continue
+      yield { key, fields, outpoint, satoshis }
+    }
+  }
+
+  /**
+   * Walks every output in the context page by page, recovering the key and fields of those that are
+   * key-value tokens. The token is undefined for outputs that cannot be decoded.
+   * When a Beef is given, the transactions of every page are merged into it.
+   * @private
+   */
+  private async * scanOutputs(pageSize: number, beef?: Beef): AsyncGenerator<{
+    outpoint: OutpointString
+    satoshis: number
+    token: { key: string, fields: number[][] } | undefined
+  }> {
+    let offset = 0
+    while (true) {
+      const results = await this.wallet.listOutputs({
+        basket: this.context,
+        include: beef === undefined ? 'locking scripts' : 'entire transactions',
+        limit: pageSize,
+        offset
+      })
+      if (beef !== undefined && results.BEEF !== undefined) {
+        beef.mergeBeef(results.BEEF)
+      }
+      for (const output of results.outputs) {
+        const [txid, vout] = output.outpoint.split('.')
+        const lockingScript = beef === undefined
+          ? output.lockingScript
+          : beef.findTxid(txid)?.tx?.outputs[Number(vout)]?.lockingScript.toHex()
+        if (lockingScript === undefined) {
+          throw new Error(`The wallet did not return the locking script of the ${output.outpoint} output.`)
+        }
+        let fields: number[][] | undefined
+        try {
+          fields = this.decodeFields({ outpoint: output.outpoint, lockingScript })
+        } catch (_) {
+          fields = undefined
+        }
+        // Only undecodable outputs count as corrupt; failing to decrypt the key is a wallet error and is thrown
+        const token = fields === undefined
+          ? undefined
+          : { key: Utils.toUTF8(await this.readField(fields[0], KEY_FIELD_KEY_ID)), fields }
+        yield { outpoint: output.outpoint, satoshis: output.satoshis, token }
+      }
+      offset += results.outputs.length
+      if (results.outputs.length < pageSize || offset >= results.totalOutputs) {
+        return
+      }
+    }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,86 @@
+import { Broadcaster, BroadcastResponse, BroadcastFailure, Transaction, LookupQuestion, LookupAnswer, OutpointString } from "@bsv/sdk"
+import GlobalKVStore, { GlobalKVStoreResolver, GlobalKVStoreQuery, GlobalKVToken } from './GlobalKVStore'
+
+/**
+ * An in-memory stand-in for the key-value overlay topic manager and lookup service.
+ * Pass the same instance as both the broadcaster and the resolver of a GlobalKVStore
+ * to use it without a live overlay, for example in tests or local development.
+ * No SPV checks are performed on submitted transactions, but only tokens locked and signed by their controller are admitted.
+ */
+export default class MemoryOverlay implements Broadcaster, GlobalKVStoreResolver {
+  /**
+   * The name of the lookup service this overlay answers for.
+   * @private
+   * @readonly
+   */
+  private readonly service: string
+  /**
+   * The currently admitted token outputs, keyed by outpoint.
+   * @private
+   * @readonly
+   */
+  private readonly tokens: Map<OutpointString, { token: GlobalKVToken, beef: number[], outputIndex: number }> = new Map()
+
+  /**
+   * Creates an instance of the MemoryOverlay.
+   *
+   * @param {string} [service='ls_kvstore'] - The lookup service name to answer for.
+   */
+  constructor(service = 'ls_kvstore') {
+    this.service = service
+  }
+
+  /**
+   * Admits a transaction: every spent token is removed, and every output that decodes as a key-value token
+   * locked and signed by its controller is added.
+   *
+   * @param {Transaction} tx - The transaction to admit.
+   * @returns {Promise<BroadcastResponse | BroadcastFailure>} A success response carrying the txid.
+   */
+  async broadcast(tx: Transaction): Promise<BroadcastResponse | BroadcastFailure> {
+    const txid = tx.id('hex')
+    for (const input of tx.inputs) {
+      const sourceTXID = input.sourceTXID ?? input.sourceTransaction?.id('hex')
+      this.tokens.delete(`${sourceTXID}.${input.sourceOutputIndex}`)
+    }
+    const beef = tx.toBEEF()
+    for (let i = 0; i < tx.outputs.length; i++) {
+      try {
+        const token = await GlobalKVStore.verify(tx.outputs[i].lockingScript)
+        this.tokens.set(`${txid}.${i}`, { token, beef, outputIndex: i })
+      } catch (_) {
+        // Not a key-value token, or a forged one, nothing to admit
+      }
+    }
+    return {
+      status: 'success',
+      txid,
+      message: 'Admitted into the in-memory overlay.'
+    }
+  }
+
+  /**
+   * Answers a lookup question with every admitted token matching the query.
+   *
+   * @param {LookupQuestion} question - The question, whose query is a GlobalKVStoreQuery.
+   * @returns {Promise<LookupAnswer>} An output list of the matching tokens.
+   * @throws {Error} If the question is for a different lookup service.
+   */
+  async query(question: LookupQuestion): Promise<LookupAnswer> {
+    if (question.service !== this.service) {
+      throw new Error(`Lookup service ${question.service} is not supported by this overlay.`)
+    }
+    const query = (question.query ?? {}) as GlobalKVStoreQuery
+    const outputs: Array<{ beef: number[], outputIndex: number }> = []
+    for (const { token, beef, outputIndex } of this.tokens.values()) {
+      if (query.key !== undefined && token.key !== query.key) continue
+      if (query.controller !== undefined && token.controller !== query.controller) continue
+      if (
+        query.protocolID !== undefined &&
+        (token.protocolID[0] !== query.protocolID[0] || token.protocolID[1] !== query.protocolID[1])
+      ) continue
+      outputs.push({ beef, outputIndex })
+    }
+    return { type: 'output-list', outputs }
+  }
+}
@@ -0,0 +1,350 @@
+/** eslint-env jest */
+import GlobalKVStore from '../GlobalKVStore';
+import MemoryOverlay from '../MemoryOverlay';
+import {
+    PushDrop,
+    WalletInterface,
+    TopicBroadcaster,
+    LookupResolver,
+    CreateActionArgs
+} from '@bsv/sdk';
+
+// --- Fake locking scripts ---
+// A script is its fields and the key it is locked to. The fake key a controller derives for a protocol and key is
+// a plain string, and its fake signature over some data is the controller followed by the data as hex.
+interface FakeScript {
+    fields: number[][];
+    lockingPublicKey?: string;
+}
+const fakeLockingKey = (protocol: string, keyID: string, controller: string) => `${protocol}:${keyID}:${controller}`;
+const fakeSignature = (data: number[], controller: string) => Array.from(Buffer.from(`${controller}:${Buffer.from(data).toString('hex')}`));
+// The script of a token locked and signed by the controller recorded in its fields
+const signedScript = (fields: number[][]): FakeScript => {
+    const [protocol, keyID, , controller] = fields.map(field => Buffer.from(field));
+    const controllerHex = controller.toString('hex');
+    return {
+        fields: [...fields, fakeSignature(fields.flat(), controllerHex)],
+        lockingPublicKey: fakeLockingKey(JSON.parse(protocol.toString()).join(','), keyID.toString(), controllerHex)
+    };
+};
+
+// --- Fake transactions, addressed by their index in this registry ---
+// Atomic BEEF and BEEF for a fake transaction are both just [index].
+interface FakeTx {
+    id: (enc: 'hex') => string;
+    inputs: Array<{ sourceTXID: string, sourceOutputIndex: number }>;
+    outputs: Array<{ lockingScript: FakeScript, satoshis: number }>;
+    toBEEF: () => number[];
+}
+const fakeTxs: FakeTx[] = [];
+const addFakeTx = (
+    txid: string,
+    outputScripts: FakeScript[],
+    inputs: Array<{ sourceTXID: string, sourceOutputIndex: number }> = []
+): FakeTx => {
+    const index = fakeTxs.length;
+    const tx: FakeTx = {
+        id: () => txid,
+        inputs,
+        outputs: outputScripts.map(lockingScript => ({ lockingScript, satoshis: 1 })),
+        toBEEF: () => [index]
+    };
+    fakeTxs.push(tx);
+    return tx;
+};
+
+// Mock the entire @bsv/sdk module
+jest.mock('@bsv/sdk', () => {
+    const mockUnlockerInstance = {
+        sign: jest.fn().mockResolvedValue({ toHex: jest.fn(() => 'mockUnlockingScriptHex') }),
+    };
+    // Locking scripts are the JSON of their fake scripts, so the fake wallet can rebuild them
+    const mockPushDropInstance = {
+        lock: jest.fn(async (fields: number[][]) => ({ toHex: () => JSON.stringify(signedScript(fields)) })),
+        unlock: jest.fn().mockReturnValue(mockUnlockerInstance),
+    };
+    return {
+        PushDrop: Object.assign(
+            jest.fn(() => mockPushDropInstance),
+            {
+                decode: jest.fn((script: FakeScript) => ({
+                    fields: script.fields,
+                    lockingPublicKey: { toString: () => script.lockingPublicKey }
+                }))
+            }
+        ),
+        ProtoWallet: jest.fn(() => ({
+            getPublicKey: jest.fn(async ({ protocolID, keyID, counterparty }) => ({
+                publicKey: fakeLockingKey(protocolID.join(','), keyID, counterparty)
+            })),
+            verifySignature: jest.fn(async ({ data, signature, counterparty }) => {
+                if (Buffer.compare(Buffer.from(signature), Buffer.from(fakeSignature(data, counterparty))) !== 0) {
+                    throw new Error('Signature is not valid');
+                }
+                return { valid: true };
+            })
+        })),
+        Transaction: {
+            fromBEEF: jest.fn((beef: number[]) => fakeTxs[beef[0]]),
+            fromAtomicBEEF: jest.fn((beef: number[]) => fakeTxs[beef[0]]),
+        },
+        Beef: jest.fn(() => ({
+            mergeBeef: jest.fn(),
+            toBinary: jest.fn(() => [0xbe, 0xef]),
+        })),
+        WalletClient: jest.fn(),
+        TopicBroadcaster: jest.fn(),
+        LookupResolver: jest.fn(),
+        Utils: {
+            toArray: jest.fn((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding))),
+            toUTF8: jest.fn((arr: number[]) => Buffer.from(arr).toString('utf8')),
+            toHex: jest.fn((arr: number[]) => Buffer.from(arr).toString('hex')),
+        },
+    };
+});
+
+const MockedPushDrop = PushDrop as jest.MockedClass<typeof PushDrop>;
+
+const ownIdentityKey = '02' + 'aa'.repeat(32);
+const otherIdentityKey = '03' + 'bb'.repeat(32);
+const protocolID = [1, 'kvstore'];
+
+const tokenFields = (key: string, value: string, controller = ownIdentityKey): number[][] => [
+    Array.from(Buffer.from(JSON.stringify(protocolID))),
+    Array.from(Buffer.from(key)),
+    Array.from(Buffer.from(value)),
+    Array.from(Buffer.from(controller, 'hex'))
+];
+const tokenScript = (key: string, value: string, controller = ownIdentityKey): FakeScript =>
+    signedScript(tokenFields(key, value, controller));
+// Tokens claiming this wallet as their controller, published by someone else
+const forgedScripts = (key: string, value: string): FakeScript[] => {
+    const fields = tokenFields(key, value);
+    return [
+        // Locked and signed with the forger's own key
+        { fields: [...fields, fakeSignature(fields.flat(), otherIdentityKey)], lockingPublicKey: fakeLockingKey('1,kvstore', key, otherIdentityKey) },
+        // Locked to the controller's key, which anyone can derive, but not signed by it
+        { fields: [...fields, fakeSignature(fields.flat(), otherIdentityKey)], lockingPublicKey: fakeLockingKey('1,kvstore', key, ownIdentityKey) },
+        // Not signed at all
+        { fields, lockingPublicKey: fakeLockingKey('1,kvstore', key, ownIdentityKey) }
+    ];
+};
+
+// --- Mock Wallet Setup ---
+// A wallet whose actions produce fake transactions from the requested outputs and inputs
+const createMockWallet = (): jest.Mocked<WalletInterface> => {
+    let nextTxid = 0;
+    const buildTx = (args: CreateActionArgs): FakeTx => addFakeTx(
+        `txid${nextTxid++}`,
+        (args.outputs ?? []).map(o => JSON.parse(o.lockingScript)),
+        (args.inputs ?? []).map(i => {
+            const [sourceTXID, vout] = i.outpoint.split('.');
+            return { sourceTXID, sourceOutputIndex: Number(vout) };
+        })
+    );
+    const pending: Record<string, FakeTx> = {};
+    return {
+        getPublicKey: jest.fn().mockResolvedValue({ publicKey: ownIdentityKey }),
+        createAction: jest.fn(async (args: CreateActionArgs) => {
+            const tx = buildTx(args);
+            if (args.inputs !== undefined) {
+                pending.ref = tx;
+                return { signableTransaction: { reference: 'ref', tx: tx.toBEEF() } };
+            }
+            return { txid: tx.id('hex'), tx: tx.toBEEF() };
+        }),
+        signAction: jest.fn(async () => ({ txid: pending.ref.id('hex'), tx: pending.ref.toBEEF() })),
+    } as unknown as jest.Mocked<WalletInterface>;
+};
+
+describe('GlobalKVStore', () => {
+    let mockWallet: jest.Mocked<WalletInterface>;
+    let overlay: MemoryOverlay;
+    let kvStore: GlobalKVStore;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fakeTxs.length = 0;
+        mockWallet = createMockWallet();
+        overlay = new MemoryOverlay();
+        kvStore = new GlobalKVStore(mockWallet, { broadcaster: overlay, resolver: overlay });
+    });
+
+    describe('constructor', () => {
+        it('should default to a TopicBroadcaster and LookupResolver for the kvstore overlay', () => {
+            const store = new GlobalKVStore(mockWallet, { networkPreset: 'testnet' });
+            expect(store).toBeInstanceOf(GlobalKVStore);
+            expect(TopicBroadcaster).toHaveBeenCalledWith(['tm_kvstore'], { networkPreset: 'testnet' });
+            expect(LookupResolver).toHaveBeenCalledWith({ networkPreset: 'testnet' });
+            expect((store as any).protocolID).toEqual([1, 'kvstore']);
+            expect((store as any).service).toEqual('ls_kvstore');
+        });
+
+        it('should throw an error if the protocol ID is invalid', () => {
+            expect(() => new GlobalKVStore(mockWallet, { protocolID: [1, ''] as any }))
+                .toThrow('A valid protocol ID in which to operate is required.');
+        });
+    });
+
+    describe('get', () => {
+        it('should return defaultValue if no token is found', async () => {
+            const resolver = { query: jest.fn().mockResolvedValue({ type: 'output-list', outputs: [] }) };
+            kvStore = new GlobalKVStore(mockWallet, { broadcaster: overlay, resolver });
+
+            await expect(kvStore.get('name', 'default')).resolves.toBe('default');
+            expect(resolver.query).toHaveBeenCalledWith({
+                service: 'ls_kvstore',
+                query: { key: 'name', controller: ownIdentityKey, protocolID }
+            });
+        });
+
+        it('should read the value of another controller', async () => {
+            await overlay.broadcast(addFakeTx('theirs', [tokenScript('name', 'Bob', otherIdentityKey)]) as any);
+
+            await expect(kvStore.get('name')).resolves.toBeUndefined();
+            await expect(kvStore.get('name', undefined, otherIdentityKey)).resolves.toBe('Bob');
+        });
+
+        it('should skip outputs that are not matching tokens', async () => {
+            await overlay.broadcast(addFakeTx('bad', [{ fields: [[1, 2, 3]] }, tokenScript('name', 'Alice')]) as any);
+            const resolver = {
+                query: jest.fn().mockResolvedValue({
+                    type: 'output-list',
+                    outputs: [{ beef: [fakeTxs.length - 1], outputIndex: 0 }, { beef: [fakeTxs.length - 1], outputIndex: 1 }]
+                })
+            };
+            kvStore = new GlobalKVStore(mockWallet, { broadcaster: overlay, resolver });
+
+            await expect(kvStore.get('name')).resolves.toBe('Alice');
+        });
+
+        it('should ignore tokens claiming a controller that did not lock and sign them', async () => {
+            await overlay.broadcast(addFakeTx('real', [tokenScript('name', 'Alice')]) as any);
+            addFakeTx('forged', forgedScripts('name', 'Mallory'));
+            const resolver = {
+                query: jest.fn(async () => ({
+                    type: 'output-list' as const,
+                    outputs: [0, 1, 2].map(outputIndex => ({ beef: [1], outputIndex })).concat({ beef: [0], outputIndex: 0 })
+                }))
+            };
+            kvStore = new GlobalKVStore(mockWallet, { broadcaster: overlay, resolver });
+
+            await expect(kvStore.get('name')).resolves.toBe('Alice');
+
+            await kvStore.set('name', 'Alicia');
+            expect(mockWallet.createAction).toHaveBeenLastCalledWith(expect.objectContaining({
+                inputs: [expect.objectContaining({ outpoint: 'real.0' })]
+            }));
+        });
+
+        it('should throw an error if multiple tokens are found', async () => {
+            await overlay.broadcast(addFakeTx('one', [tokenScript('name', 'Alice')]) as any);
+            await overlay.broadcast(addFakeTx('two', [tokenScript('name', 'Alicia')]) as any);
+
+            await expect(kvStore.get('name')).rejects.toThrow(
+                'Multiple tokens found for this key. The controller needs to call set to collapse this ambiguous state before you can get this value again.'
+            );
+        });
+    });
+
+    describe('set', () => {
+        it('should create and submit a new token if none exists', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            const result = await kvStore.set('name', 'Alice');
+
+            expect(result).toBe('txid0.0');
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                tokenFields('name', 'Alice'),
+                protocolID,
+                'name',
+                'anyone',
+                true
+            );
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                description: 'Set name in kvstore',
+                outputs: [expect.objectContaining({ satoshis: 1, outputDescription: 'Key-value token' })]
+            }));
+            expect(mockWallet.signAction).not.toHaveBeenCalled();
+            await expect(kvStore.get('name')).resolves.toBe('Alice');
+        });
+
+        it('should spend the existing token when updating a value', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            await kvStore.set('name', 'Alice');
+
+            const result = await kvStore.set('name', 'Alicia');
+
+            expect(result).toBe('txid1.0');
+            expect(mockWallet.createAction).toHaveBeenLastCalledWith(expect.objectContaining({
+                description: 'Update name in kvstore',
+                inputBEEF: [0xbe, 0xef],
+                inputs: [expect.objectContaining({ outpoint: 'txid0.0' })]
+            }));
+            expect(mockPDInstance.unlock).toHaveBeenCalledWith(
+                protocolID, 'name', 'anyone', 'all', false, 1, expect.anything()
+            );
+            expect(mockWallet.signAction).toHaveBeenCalledWith({
+                reference: 'ref',
+                spends: { 0: { unlockingScript: 'mockUnlockingScriptHex' } }
+            });
+            await expect(kvStore.get('name')).resolves.toBe('Alicia');
+        });
+
+        it('should throw an error if the overlay rejects the transaction', async () => {
+            const broadcaster = {
+                broadcast: jest.fn().mockResolvedValue({ status: 'error', code: 'ERR', description: 'not admitted' })
+            };
+            kvStore = new GlobalKVStore(mockWallet, { broadcaster, resolver: overlay });
+
+            await expect(kvStore.set('name', 'Alice')).rejects.toThrow(
+                'The overlay rejected the key-value transaction: not admitted'
+            );
+        });
+    });
+
+    describe('remove', () => {
+        it('should do nothing if the key does not exist', async () => {
+            await expect(kvStore.remove('name')).resolves.toBeUndefined();
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should spend the token without creating a new one', async () => {
+            await kvStore.set('name', 'Alice');
+
+            const result = await kvStore.remove('name');
+
+            expect(result).toBe('txid1');
+            expect(mockWallet.createAction).toHaveBeenLastCalledWith(expect.objectContaining({
+                description: 'Remove name from kvstore',
+                inputs: [expect.objectContaining({ outpoint: 'txid0.0' })],
+                outputs: undefined
+            }));
+            await expect(kvStore.get('name')).resolves.toBeUndefined();
+        });
+    });
+
+    describe('MemoryOverlay', () => {
+        it('should reject questions for other lookup services', async () => {
+            await expect(overlay.query({ service: 'ls_other', query: {} }))
+                .rejects.toThrow('Lookup service ls_other is not supported by this overlay.');
+        });
+
+        it('should filter tokens by controller', async () => {
+            await overlay.broadcast(addFakeTx('mine', [tokenScript('a', '1')]) as any);
+            await overlay.broadcast(addFakeTx('theirs', [tokenScript('a', '2', otherIdentityKey)]) as any);
+
+            const answer = await overlay.query({ service: 'ls_kvstore', query: { controller: otherIdentityKey } });
+
+            expect(answer).toEqual({ type: 'output-list', outputs: [{ beef: [1], outputIndex: 0 }] });
+        });
+
+        it('should not admit tokens claiming a controller that did not lock and sign them', async () => {
+            await overlay.broadcast(addFakeTx('forged', forgedScripts('a', 'x')) as any);
+
+            const answer = await overlay.query({ service: 'ls_kvstore', query: {} });
+
+            expect(answer).toEqual({ type: 'output-list', outputs: [] });
+        });
+    });
+});
@@ -1,11 +1,15 @@
 /** eslint-env jest */
 import localKVStore from '../LocalKVStore';
+import { jsonCodec, binaryCodec, KVStoreCodec } from '../codecs';
+import MemoryLRUCache from '../cache';
 import {
     LockingScript,
     PushDrop,
     Utils,
     WalletInterface,
     Transaction,
+    Beef,
+    ProtoWallet,
     ListOutputsResult,
     WalletDecryptResult,
     WalletEncryptResult,
@@ -17,8 +21,13 @@ import {
 const testLockingScriptHex = 'mockLockingScriptHex';
 const testUnlockingScriptHex = 'mockUnlockingScriptHex';
 const testEncryptedValue = Buffer.from('encryptedData'); // Use Buffer for ciphertext
+const testEncryptedKey = Buffer.from('encryptedKey'); // Ciphertext of the key field
 const testRawValue = 'myTestDataValue';
 const testRawValueBuffer = Buffer.from(testRawValue); // Buffer for raw value
+const utf8Format = [1, 0]; // Format field: layout version 1, built-in utf8 codec
+const utf8WriteFormat = [0x81, 0]; // Format field of written tokens: version 1 with the metadata flag, utf8 codec
+const testNow = 1700000000000; // Date.now() during tests, recorded in the metadata of written tokens
+const testMetadata = Array.from(Buffer.from(JSON.stringify({ createdAt: testNow, updatedAt: testNow })));
 
 // Mock the entire @bsv/sdk module
 jest.mock('@bsv/sdk', () => {
@@ -40,6 +49,16 @@ jest.mock('@bsv/sdk', () => {
         // or manage it separately as done below.
     };
 
+    // --- Define the mock instances returned by the Beef and ProtoWallet constructors ---
+    const mockBeefInstance = {
+        mergeBeef: jest.fn(),
+        findTxid: jest.fn(),
+        toBinary: jest.fn(() => [0xbe, 0xef]),
+    };
+    const mockProtoWalletInstance = {
+        verifySignature: jest.fn(),
+    };
+
     // --- Define the mock for the static decode method ---
     // It needs to be separate because it's static, not on the instance.
     const mockPushDropDecode = jest.fn();
@@ -60,11 +79,27 @@ jest.mock('@bsv/sdk', () => {
             // Static method returns a minimal mock object
             fromAtomicBEEF: jest.fn(() => ({ /* mock tx object if needed */ })),
         },
+        Beef: Object.assign(
+            jest.fn(() => mockBeefInstance),
+            { fromBinary: jest.fn() }
+        ),
+        ProtoWallet: jest.fn(() => mockProtoWalletInstance),
+        // A fake symmetric key that XORs every byte with its first byte
+        SymmetricKey: Object.assign(
+            jest.fn((key: number[]) => ({ decrypt: jest.fn((msg: number[]) => msg.map(b => b ^ key[0])) })),
+            {
+                fromRandom: jest.fn(() => ({
+                    toArray: () => [42],
+                    encrypt: (msg: number[]) => msg.map(b => b ^ 42)
+                }))
+            }
+        ),
         // --- Mocked Functions/Objects ---
         Utils: {
             // Ensure toArray returns Array<number> or Uint8Array
             toArray: jest.fn((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding))),
             toUTF8: jest.fn((arr: number[] | Uint8Array) => Buffer.from(arr).toString('utf8')),
+            toHex: jest.fn((arr: number[]) => Buffer.from(arr).toString('hex')),
         },
         // --- Re-export Types (Good practice, Jest often handles this) ---
         // Add any specific types needed if Jest doesn't automatically handle them
@@ -81,6 +116,7 @@ const MockedPushDrop = PushDrop as jest.MockedClass<typeof PushDrop> & {
 const MockedPushDropDecode = MockedPushDrop.decode;
 const MockedUtils = Utils as jest.Mocked<typeof Utils>;
 const MockedTransaction = Transaction as jest.Mocked<typeof Transaction>;
+const MockedBeef = Beef as jest.Mocked<typeof Beef>;
 
 // --- Mock Wallet Setup ---
 const createMockWallet = (): jest.Mocked<WalletInterface> => ({
@@ -90,6 +126,11 @@ const createMockWallet = (): jest.Mocked<WalletInterface> => ({
     createAction: jest.fn(),
     signAction: jest.fn(),
     relinquishOutput: jest.fn(),
+    abortAction: jest.fn(),
+    getHeaderForHeight: jest.fn(),
+    getPublicKey: jest.fn(),
+    createSignature: jest.fn(),
+    createHmac: jest.fn(),
 } as unknown as jest.Mocked<WalletInterface>);
 
 describe('localKVStore', () => {
@@ -107,6 +148,7 @@ describe('localKVStore', () => {
     beforeEach(() => {
         // Reset mocks before each test (clears calls and resets implementations)
         jest.clearAllMocks();
+        jest.spyOn(Date, 'now').mockReturnValue(testNow);
 
         // Create a fresh mock wallet for each test
         mockWallet = createMockWallet();
@@ -217,7 +259,7 @@ describe('localKVStore', () => {
             }));
         });
 
-        it('should throw an error if decoded fields length is not 1', async () => {
+        it('should throw an error if decoded fields length is not 3 or 4', async () => {
             const mockOutput = { outpoint: testOutpoint, lockingScript: testLockingScriptHex };
             mockWallet.listOutputs.mockResolvedValue({ outputs: [mockOutput], totalOutputs: 1, BEEF: undefined } as any);
             // MockedLockingScript.fromHex is implicitly called by PushDrop.decode
@@ -236,8 +278,8 @@ describe('localKVStore', () => {
             mockWallet.listOutputs.mockResolvedValue({ outputs: [mockOutput], totalOutputs: 1, BEEF: undefined } as any);
             // MockedLockingScript.fromHex is implicitly called by PushDrop.decode
 
-            // Mock the *static* decode to return the encrypted value buffer
-            MockedPushDropDecode.mockReturnValue({ fields: [testEncryptedValue] });
+            // Mock the *static* decode to return the encrypted key and value buffers
+            MockedPushDropDecode.mockReturnValue({ fields: [testEncryptedKey, testEncryptedValue, utf8Format] });
 
             // Mock decrypt to return the plain text Array<number>
             mockWallet.decrypt.mockResolvedValue({ plaintext: Array.from(testRawValueBuffer) } as WalletDecryptResult);
@@ -268,8 +310,8 @@ describe('localKVStore', () => {
             mockWallet.listOutputs.mockResolvedValue({ outputs: [mockOutput], totalOutputs: 1, BEEF: undefined } as any);
             // MockedLockingScript.fromHex implicitly called by PushDrop.decode
 
-            // Mock the *static* decode to return the raw value buffer
-            MockedPushDropDecode.mockReturnValue({ fields: [testRawValueBuffer] });
+            // Mock the *static* decode to return the raw key and value buffers
+            MockedPushDropDecode.mockReturnValue({ fields: [Buffer.from(testKey), testRawValueBuffer, utf8Format] });
 
             // Mock Utils.toUTF8 for final conversion
             MockedUtils.toUTF8.mockReturnValue(testValue);
@@ -295,10 +337,15 @@ describe('localKVStore', () => {
         })
 
         it('should create a new encrypted output if none exists', async () => {
+            const keyArray = Array.from(Buffer.from(testKey));
             const valueArray = Array.from(testRawValueBuffer);
+            const encryptedKeyArray = Array.from(testEncryptedKey);
             const encryptedArray = Array.from(testEncryptedValue);
-            MockedUtils.toArray.mockReturnValue(valueArray); // Mock toArray -> Array<number>
-            mockWallet.encrypt.mockResolvedValue({ ciphertext: encryptedArray } as WalletEncryptResult); // Encrypt returns Array<number>
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str))); // Mock toArray -> Array<number>
+            // Encrypt returns Array<number>, depending on which field is encrypted
+            mockWallet.encrypt.mockImplementation(async ({ keyID }) => ({
+                ciphertext: keyID === 'kvstore-key' ? encryptedKeyArray : encryptedArray
+            }) as WalletEncryptResult);
             mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
             mockWallet.createAction.mockResolvedValue({ txid: 'newTxId' } as CreateActionResult);
 
@@ -309,6 +356,11 @@ describe('localKVStore', () => {
 
             expect(result).toBe('newTxId.0');
             expect(MockedUtils.toArray).toHaveBeenCalledWith(testValue, 'utf8');
+            expect(mockWallet.encrypt).toHaveBeenCalledWith({
+                plaintext: keyArray, // The key field is encrypted under a fixed key ID
+                protocolID: [2, testContext],
+                keyID: 'kvstore-key',
+            });
             expect(mockWallet.encrypt).toHaveBeenCalledWith({
                 plaintext: valueArray, // Should be Array<number>
                 protocolID: [2, testContext],
@@ -317,8 +369,8 @@ describe('localKVStore', () => {
             // Check the mock instance's lock method
             expect(mockPDInstance.lock).toHaveBeenCalledWith(
                 // The lock function expects Array<number[] | Uint8Array>
-                // Ensure the encrypted value is passed correctly (as Uint8Array or Array<number>)
-                [(encryptedArray)], // Pass buffer derived from encrypted array
+                // Ensure the encrypted key and value are passed correctly (as Uint8Array or Array<number>)
+                [encryptedKeyArray, encryptedArray, utf8WriteFormat, encryptedArray], // Pass buffers derived from encrypted arrays, then the format and metadata
                 [2, testContext],
                 testKey,
                 'self'
@@ -334,7 +386,9 @@ describe('localKVStore', () => {
                 outputs: [{
                     lockingScript: testLockingScriptHex, // From the mock lock result
                     satoshis: 1,
-                    outputDescription: 'Key-value token'
+                    outputDescription: 'Key-value token',
+                    basket: testContext,
+                    tags: [testKey]
                 }],
                 options: {
                     acceptDelayedBroadcast: false,
@@ -347,8 +401,9 @@ describe('localKVStore', () => {
 
         it('should create a new non-encrypted output if none exists and encrypt=false', async () => {
             kvStore = new localKVStore(mockWallet, testContext, false); // encrypt=false
+            const keyArray = Array.from(Buffer.from(testKey));
             const valueArray = Array.from(testRawValueBuffer);
-            MockedUtils.toArray.mockReturnValue(valueArray);
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
             mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
             mockWallet.createAction.mockResolvedValue({ txid: 'newTxIdNonEnc' } as CreateActionResult);
 
@@ -362,7 +417,7 @@ describe('localKVStore', () => {
             expect(mockWallet.encrypt).not.toHaveBeenCalled();
             // Check the mock instance's lock method
             expect(mockPDInstance.lock).toHaveBeenCalledWith(
-                [(valueArray)], // Pass raw value buffer
+                [keyArray, valueArray, utf8WriteFormat, testMetadata], // Pass raw key and value buffers, then the format and metadata
                 [2, testContext],
                 testKey,
                 'self'
@@ -377,7 +432,9 @@ describe('localKVStore', () => {
                 outputs: [{
                     lockingScript: testLockingScriptHex, // From mock lock
                     satoshis: 1,
-                    outputDescription: 'Key-value token'
+                    outputDescription: 'Key-value token',
+                    basket: testContext,
+                    tags: [testKey]
                 }],
                 options: {
                     acceptDelayedBroadcast: false,
@@ -421,7 +478,7 @@ describe('localKVStore', () => {
 
             expect(result).toBe(`${updatedTxId}.0`); // Assuming output 0 is the new KV token
             expect(mockWallet.encrypt).toHaveBeenCalled();
-            expect(mockPDInstance.lock).toHaveBeenCalledWith([(encryptedArray)], [2, testContext], testKey, 'self');
+            expect(mockPDInstance.lock).toHaveBeenCalledWith([encryptedArray, encryptedArray, utf8WriteFormat, encryptedArray], [2, testContext], testKey, 'self');
             expect(mockWallet.listOutputs).toHaveBeenCalledWith({ basket: testContext, tags: [testKey], include: 'entire transactions' });
 
             // Verify createAction for UPDATE
@@ -709,4 +766,1724 @@ describe('localKVStore', () => {
             });
         });
     });
-});
\ No newline at end of file
+
+    // --- Enumeration Tests ---
+    describe('has, keys and entries', () => {
+        const output = (outpoint: string) => ({ outpoint, lockingScript: testLockingScriptHex });
+        // Queues one decoded plaintext token per output, in listing order
+        const queueTokens = (...pairs: Array<[string, string]>) => {
+            for (const [key, value] of pairs) {
+                MockedPushDropDecode.mockReturnValueOnce({ fields: [Buffer.from(key), Buffer.from(value), utf8Format] });
+            }
+        };
+
+        beforeEach(() => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedPushDropDecode.mockReset(); // Drop tokens left queued by a test that stopped early
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+        });
+
+        it('should report whether a key has a token', async () => {
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [output('a.0')], totalOutputs: 1 } as any);
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [], totalOutputs: 0 } as any);
+            queueTokens([testKey, 'x']);
+
+            await expect(kvStore.has(testKey)).resolves.toBe(true);
+            await expect(kvStore.has('missing')).resolves.toBe(false);
+            expect(mockWallet.listOutputs).toHaveBeenNthCalledWith(1, { basket: testContext, tags: [testKey], include: 'locking scripts' });
+        });
+
+        it('should list keys under a prefix, skipping undecodable outputs', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [output('a.0'), output('b.0'), output('c.0'), output('d.0')],
+                totalOutputs: 4
+            } as any);
+            queueTokens(['user:1:a', 'x'], ['user:2:b', 'y']);
+            MockedPushDropDecode.mockImplementationOnce(() => { throw new Error('Decode failed'); });
+            queueTokens(['user:1:c', 'z']);
+
+            const keys = await kvStore.keys({ prefix: 'user:1:' });
+
+            expect(keys).toEqual(['user:1:a', 'user:1:c']);
+            expect(mockWallet.listOutputs).toHaveBeenCalledWith({
+                basket: testContext,
+                include: 'locking scripts',
+                limit: 100,
+                offset: 0
+            });
+        });
+
+        it('should page through listOutputs and return each key once', async () => {
+            mockWallet.listOutputs
+                .mockResolvedValueOnce({ outputs: [output('a.0'), output('b.0')], totalOutputs: 3 } as any)
+                .mockResolvedValueOnce({ outputs: [output('c.0')], totalOutputs: 3 } as any);
+            queueTokens(['a', '1'], ['b', '2'], ['a', '3']);
+
+            const keys = await kvStore.keys({ pageSize: 2 });
+
+            expect(keys).toEqual(['a', 'b']);
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+            expect(mockWallet.listOutputs).toHaveBeenNthCalledWith(2, expect.objectContaining({ limit: 2, offset: 2 }));
+        });
+
+        it('should apply range, offset and limit filters', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [output('a.0'), output('b.0'), output('c.0'), output('d.0'), output('e.0')],
+                totalOutputs: 5
+            } as any);
+            queueTokens(['a', '1'], ['b', '2'], ['c', '3'], ['d', '4'], ['e', '5']);
+
+            const keys = await kvStore.keys({ start: 'b', end: 'e', offset: 1, limit: 1 });
+
+            expect(keys).toEqual(['c']);
+        });
+
+        it('should list entries with their values and outpoints', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [output('a.0'), output('b.1')], totalOutputs: 2 } as any);
+            queueTokens(['theme', 'dark'], ['lang', 'en']);
+
+            const entries = await kvStore.entries();
+
+            expect(entries).toEqual([
+                { key: 'theme', value: 'dark', outpoint: 'a.0', metadata: {} },
+                { key: 'lang', value: 'en', outpoint: 'b.1', metadata: {} }
+            ]);
+        });
+
+        it('should decrypt keys and values when encrypt=true', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, true);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [output('a.0')], totalOutputs: 1 } as any);
+            MockedPushDropDecode.mockReturnValueOnce({ fields: [testEncryptedKey, testEncryptedValue, utf8Format] });
+            mockWallet.decrypt
+                .mockResolvedValueOnce({ plaintext: Array.from(Buffer.from(testKey)) })
+                .mockResolvedValueOnce({ plaintext: Array.from(testRawValueBuffer) });
+
+            const entries = await kvStore.entries();
+
+            expect(entries).toEqual([{ key: testKey, value: testValue, outpoint: 'a.0', metadata: {} }]);
+            expect(mockWallet.decrypt).toHaveBeenNthCalledWith(1, {
+                protocolID: [2, testContext],
+                keyID: 'kvstore-key',
+                ciphertext: testEncryptedKey
+            });
+            expect(mockWallet.decrypt).toHaveBeenNthCalledWith(2, {
+                protocolID: [2, testContext],
+                keyID: testKey,
+                ciphertext: testEncryptedValue
+            });
+        });
+    });
+
+    // --- Batch Tests ---
+    describe('batch, setMany and removeMany', () => {
+        const tokenOutput = (outpoint: string, key: string) => ({ outpoint, lockingScript: 's', tags: [key] });
+        const newOutput = (key: string) => ({
+            lockingScript: testLockingScriptHex,
+            satoshis: 1,
+            outputDescription: 'Key-value token',
+            basket: testContext,
+            tags: [key]
+        });
+
+        beforeEach(() => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+        });
+
+        it('should refuse a batch whose keys hold more tokens than were listed', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [tokenOutput('old1.0', 'a')],
+                totalOutputs: 10001,
+                BEEF: []
+            } as any);
+
+            await expect(kvStore.setMany({ a: '1' })).rejects.toThrow(
+                'The keys in this batch are held by 10001 tokens, more than can be spent in one transaction. Split the batch into smaller ones.'
+            );
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should do nothing for an empty batch', async () => {
+            await expect(kvStore.batch([])).resolves.toBeUndefined();
+            expect(mockWallet.listOutputs).not.toHaveBeenCalled();
+        });
+
+        it('should create all new tokens in one transaction when no keys exist', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'batchTxId' } as CreateActionResult);
+
+            const result = await kvStore.setMany({ a: '1', b: '2' });
+
+            expect(result).toEqual({ a: 'batchTxId.0', b: 'batchTxId.1' });
+            expect(mockWallet.listOutputs).toHaveBeenCalledWith({
+                basket: testContext,
+                tags: ['a', 'b'],
+                tagQueryMode: 'any',
+                includeTags: true,
+                include: 'entire transactions',
+                limit: 10000
+            });
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+            expect(mockWallet.createAction).toHaveBeenCalledWith({
+                description: `Update 2 keys in ${testContext}`,
+                outputs: [newOutput('a'), newOutput('b')],
+                options: {
+                    acceptDelayedBroadcast: false,
+                    randomizeOutputs: false
+                }
+            });
+            expect(mockWallet.signAction).not.toHaveBeenCalled();
+        });
+
+        it('should spend every existing token and sign each with its own key', async () => {
+            const mockBEEF = Array.from(Buffer.from('mockBEEFBatch'));
+            const mockTxObject = {};
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [tokenOutput('old1.0', 'a'), tokenOutput('old2.0', 'gone'), tokenOutput('old3.1', 'a')],
+                totalOutputs: 3,
+                BEEF: mockBEEF
+            } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'batchRef', tx: [] }
+            } as CreateActionResult);
+            MockedTransaction.fromAtomicBEEF.mockReturnValue(mockTxObject as any);
+            mockWallet.signAction.mockResolvedValue({ txid: 'batchTxId' } as SignActionResult);
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            const result = await kvStore.batch([
+                { type: 'set', key: 'a', value: 'first' },
+                { type: 'remove', key: 'gone' },
+                { type: 'set', key: 'a', value: 'second' },
+                { type: 'set', key: 'b', value: 'new' }
+            ]);
+
+            expect(result).toEqual({ txid: 'batchTxId', outpoints: { a: 'batchTxId.0', b: 'batchTxId.1' } });
+            expect(mockPDInstance.lock).toHaveBeenCalledTimes(2);
+            expect(mockPDInstance.lock).toHaveBeenNthCalledWith(1, [Array.from(Buffer.from('a')), Array.from(Buffer.from('second')), utf8WriteFormat, testMetadata], [2, testContext], 'a', 'self');
+            expect(mockWallet.createAction).toHaveBeenCalledWith({
+                description: `Update 3 keys in ${testContext}`,
+                inputBEEF: mockBEEF,
+                inputs: [
+                    expect.objectContaining({ outpoint: 'old1.0' }),
+                    expect.objectContaining({ outpoint: 'old2.0' }),
+                    expect.objectContaining({ outpoint: 'old3.1' })
+                ],
+                outputs: [newOutput('a'), newOutput('b')],
+                options: {
+                    acceptDelayedBroadcast: false,
+                    randomizeOutputs: false
+                }
+            });
+            expect(mockPDInstance.unlock).toHaveBeenNthCalledWith(1, [2, testContext], 'a', 'self');
+            expect(mockPDInstance.unlock).toHaveBeenNthCalledWith(2, [2, testContext], 'gone', 'self');
+            expect(mockPDInstance.unlock).toHaveBeenNthCalledWith(3, [2, testContext], 'a', 'self');
+            expect(mockWallet.signAction).toHaveBeenCalledWith({
+                reference: 'batchRef',
+                spends: {
+                    0: { unlockingScript: testUnlockingScriptHex },
+                    1: { unlockingScript: testUnlockingScriptHex },
+                    2: { unlockingScript: testUnlockingScriptHex }
+                }
+            });
+        });
+
+        it('should abort the whole batch if signing fails', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [tokenOutput('old1.0', 'a')],
+                totalOutputs: 1,
+                BEEF: []
+            } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'batchRef', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockRejectedValue(new Error('Signature failed'));
+
+            await expect(kvStore.setMany({ a: '1', b: '2' })).rejects.toThrow(
+                'Failed to sign the batch transaction, so no changes were made: Signature failed'
+            );
+            expect(mockWallet.abortAction).toHaveBeenCalledWith({ reference: 'batchRef' });
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+        });
+
+        it('should remove several keys in one transaction without outputs', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [tokenOutput('old1.0', 'a'), tokenOutput('old2.0', 'b')],
+                totalOutputs: 2,
+                BEEF: []
+            } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'removeRef', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'removeTxId' } as SignActionResult);
+
+            await expect(kvStore.removeMany(['a', 'b', 'c'])).resolves.toBe('removeTxId');
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                description: `Update 3 keys in ${testContext}`,
+                outputs: undefined
+            }));
+        });
+
+        it('should do nothing when removing keys that do not exist', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+
+            await expect(kvStore.removeMany(['a'])).resolves.toBeUndefined();
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+    });
+
+    // --- Codec Tests ---
+    describe('codecs', () => {
+        const bytes = (str: string) => Array.from(Buffer.from(str));
+        const storedToken = (value: number[], format: number[]) => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [{ outpoint: testOutpoint, lockingScript: testLockingScriptHex }],
+                totalOutputs: 1
+            } as any);
+            MockedPushDropDecode.mockReturnValue({ fields: [bytes(testKey), value, format] });
+        };
+
+        beforeEach(() => {
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'codecTxId' } as CreateActionResult);
+        });
+
+        it('should store JSON values and record the json codec', async () => {
+            const store = new localKVStore(mockWallet, testContext, false, { codec: jsonCodec });
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            await store.set(testKey, { theme: 'dark', size: 3 });
+
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [bytes(testKey), bytes('{"theme":"dark","size":3}'), [0x81, 1], testMetadata],
+                [2, testContext],
+                testKey,
+                'self'
+            );
+        });
+
+        it('should read JSON values back', async () => {
+            const store = new localKVStore(mockWallet, testContext, false, { codec: jsonCodec });
+            storedToken(bytes('{"theme":"dark"}'), [1, 1]);
+
+            await expect(store.get(testKey)).resolves.toEqual({ theme: 'dark' });
+        });
+
+        it('should store and read raw binary values', async () => {
+            const store = new localKVStore(mockWallet, testContext, false, { codec: binaryCodec });
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            await store.set(testKey, new Uint8Array([0, 1, 255]));
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [bytes(testKey), [0, 1, 255], [0x81, 2], testMetadata],
+                [2, testContext],
+                testKey,
+                'self'
+            );
+
+            storedToken([9, 8, 7], [1, 2]);
+            await expect(store.get(testKey)).resolves.toEqual([9, 8, 7]);
+        });
+
+        it('should record custom codecs by name', async () => {
+            const upperCodec: KVStoreCodec<string> = {
+                name: 'upper',
+                encode: value => bytes(value.toUpperCase()),
+                decode: stored => Buffer.from(stored).toString('utf8').toLowerCase()
+            };
+            const store = new localKVStore(mockWallet, testContext, false, { codec: upperCodec });
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            await store.set(testKey, 'shout');
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [bytes(testKey), bytes('SHOUT'), [0x81, 255, ...bytes('upper')], testMetadata],
+                [2, testContext],
+                testKey,
+                'self'
+            );
+
+            storedToken(bytes('QUIET'), [1, 255, ...bytes('upper')]);
+            await expect(store.get(testKey)).resolves.toBe('quiet');
+        });
+
+        it('should throw a clear error when the value was written with another codec', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            storedToken(bytes('{"theme":"dark"}'), [1, 1]);
+
+            await expect(kvStore.get(testKey)).rejects.toThrow(
+                `The value for ${testKey} was written with the json codec, but this store reads values with the utf8 codec.`
+            );
+        });
+
+        it('should throw a clear error for an unsupported format version', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            storedToken(bytes('value'), [3, 0]);
+
+            await expect(kvStore.get(testKey)).rejects.toThrow(
+                `The token for ${testKey} uses an unsupported format version (3).`
+            );
+        });
+
+        it('should throw a clear error when the stored bytes cannot be decoded', async () => {
+            const store = new localKVStore(mockWallet, testContext, false, { codec: jsonCodec });
+            storedToken(bytes('{not json'), [1, 1]);
+
+            await expect(store.get(testKey)).rejects.toThrow(
+                `The value for ${testKey} could not be decoded with the json codec:`
+            );
+        });
+    });
+
+    // --- History Tests ---
+    describe('history and getAt', () => {
+        // Block time 1700000000 (0x6553f100) stored little-endian at byte 68 of the header
+        const testHeader = '00'.repeat(68) + '00f15365' + '00'.repeat(8);
+        const defaultFromHex = MockedLockingScript.fromHex.getMockImplementation();
+        // Fake transactions whose locking scripts decode to the fields registered for them
+        const scripts: Record<string, Array<number[] | Buffer>> = {};
+        const fakeTx = (txid: string, outputs: Array<[string, string] | null>, inputs: any[] = [], blockHeight?: number) => ({
+            id: () => txid,
+            merklePath: blockHeight !== undefined ? { blockHeight } : undefined,
+            inputs,
+            outputs: outputs.map((token, vout) => {
+                const hex = `script-${txid}-${vout}`;
+                if (token !== null) {
+                    scripts[hex] = [Buffer.from(token[0]), Buffer.from(token[1]), utf8Format];
+                }
+                return { lockingScript: { toHex: () => hex } };
+            })
+        });
+        const spend = (sourceTransaction: any, sourceOutputIndex: number) => ({ sourceTransaction, sourceOutputIndex });
+
+        beforeEach(() => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedLockingScript.fromHex.mockImplementation((hex: string) => ({ hex }) as any);
+            MockedPushDropDecode.mockReset();
+            MockedPushDropDecode.mockImplementation(({ hex }) => {
+                if (scripts[hex] === undefined) throw new Error('Not a PushDrop script');
+                return { fields: scripts[hex] };
+            });
+
+            // tx1 (mined) sets v1, tx2 updates to v2 with a funding input, tx3 is a batch that also spends another key
+            const tx1 = fakeTx('tx1', [[testKey, 'v1']], [], 100);
+            const funding = fakeTx('funding', [null, null], [], 99);
+            const tx2 = fakeTx('tx2', [[testKey, 'v2']], [spend(tx1, 0), spend(funding, 1)]);
+            const otherKey = fakeTx('other', [['otherKey', 'x']], [], 100);
+            const tx3 = fakeTx('tx3', [[testKey, 'v3']], [spend(tx2, 0), spend(otherKey, 0)]);
+            const findAtomicTransaction = jest.fn((txid: string) => txid === 'tx3' ? tx3 : undefined);
+            MockedBeef.fromBinary.mockReturnValue({ findAtomicTransaction } as any);
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [{ outpoint: 'tx3.0' }],
+                totalOutputs: 1,
+                BEEF: [1, 2, 3]
+            } as any);
+            mockWallet.getHeaderForHeight.mockResolvedValue({ header: testHeader });
+        });
+
+        afterEach(() => {
+            MockedLockingScript.fromHex.mockImplementation(defaultFromHex);
+        });
+
+        it('should walk back through spent inputs, newest first', async () => {
+            const history = await kvStore.history(testKey);
+
+            expect(history).toEqual([
+                { value: 'v3', txid: 'tx3', outpoint: 'tx3.0' },
+                { value: 'v2', txid: 'tx2', outpoint: 'tx2.0' },
+                { value: 'v1', txid: 'tx1', outpoint: 'tx1.0', blockHeight: 100, timestamp: 1700000000000 }
+            ]);
+            expect(mockWallet.listOutputs).toHaveBeenCalledWith({
+                basket: testContext,
+                tags: [testKey],
+                include: 'entire transactions'
+            });
+            expect(MockedBeef.fromBinary).toHaveBeenCalledWith([1, 2, 3]);
+            expect(mockWallet.getHeaderForHeight).toHaveBeenCalledWith({ height: 100 });
+        });
+
+        it('should return an empty history for a missing key', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+
+            await expect(kvStore.history(testKey)).resolves.toEqual([]);
+        });
+
+        it('should read the value written by a specific transaction', async () => {
+            await expect(kvStore.getAt(testKey, 'tx2')).resolves.toBe('v2');
+            await expect(kvStore.getAt(testKey, 'tx1')).resolves.toBe('v1');
+            expect(mockWallet.getHeaderForHeight).not.toHaveBeenCalled();
+        });
+
+        it('should return defaultValue if the transaction is not in the history', async () => {
+            await expect(kvStore.getAt(testKey, 'unknown', 'fallback')).resolves.toBe('fallback');
+            await expect(kvStore.getAt(testKey, 'other')).resolves.toBeUndefined();
+        });
+
+        it('should decrypt older values with the same protocol and key ID', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, true);
+            mockWallet.decrypt.mockImplementation(async ({ ciphertext }) => ({ plaintext: Array.from(ciphertext) }));
+
+            await expect(kvStore.getAt(testKey, 'tx1')).resolves.toBe('v1');
+            expect(mockWallet.decrypt).toHaveBeenCalledWith({
+                protocolID: [2, testContext],
+                keyID: testKey,
+                ciphertext: Buffer.from('v1')
+            });
+        });
+    });
+
+    // --- Change Event Tests ---
+    describe('change events', () => {
+        const output = (outpoint: string) => ({ outpoint, lockingScript: testLockingScriptHex });
+        // Lists one plaintext token per [outpoint, key] pair
+        const listTokens = (...tokens: Array<[string, string]>) => {
+            mockWallet.listOutputs.mockResolvedValueOnce({
+                outputs: tokens.map(([outpoint]) => output(outpoint)),
+                totalOutputs: tokens.length
+            } as any);
+            for (const [, key] of tokens) {
+                MockedPushDropDecode.mockReturnValueOnce({ fields: [Buffer.from(key), Buffer.from('value'), utf8Format] });
+            }
+        };
+        let listener: jest.Mock;
+
+        beforeEach(() => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedPushDropDecode.mockReset();
+            listener = jest.fn();
+            kvStore.on('change', listener);
+        });
+
+        it('should report a local set immediately', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'newTxId' } as CreateActionResult);
+
+            await kvStore.set(testKey, testValue);
+
+            expect(listener).toHaveBeenCalledWith({
+                type: 'set',
+                key: testKey,
+                oldOutpoints: [],
+                newOutpoints: ['newTxId.0'],
+                remote: false
+            });
+        });
+
+        it('should report a local set spending several tokens as a collapse', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [output('old1.0'), output('old2.0')],
+                totalOutputs: 2,
+                BEEF: []
+            } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'ref', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'collapseTxId' } as SignActionResult);
+
+            await kvStore.set(testKey, testValue);
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'collapse',
+                oldOutpoints: ['old1.0', 'old2.0'],
+                newOutpoints: ['collapseTxId.0']
+            }));
+        });
+
+        it('should report local removals, and nothing for missing keys', async () => {
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            await kvStore.remove('missing');
+            expect(listener).not.toHaveBeenCalled();
+
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [output('old.0')], totalOutputs: 1, BEEF: [] } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'ref', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'removeTxId' } as SignActionResult);
+            await kvStore.remove(testKey);
+
+            expect(listener).toHaveBeenCalledWith({
+                type: 'remove',
+                key: testKey,
+                oldOutpoints: ['old.0'],
+                newOutpoints: [],
+                remote: false
+            });
+        });
+
+        it('should report each key changed by a batch', async () => {
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [{ outpoint: 'old.0', tags: ['gone'] }],
+                totalOutputs: 1,
+                BEEF: []
+            } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'ref', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'batchTxId' } as SignActionResult);
+
+            await kvStore.batch([{ type: 'set', key: 'a', value: '1' }, { type: 'remove', key: 'gone' }]);
+
+            expect(listener).toHaveBeenCalledTimes(2);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'set', key: 'a', newOutpoints: ['batchTxId.0'] }));
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'remove', key: 'gone', oldOutpoints: ['old.0'] }));
+        });
+
+        it('should filter watched keys and prefixes until unsubscribed', async () => {
+            const keyCallback = jest.fn();
+            const prefixCallback = jest.fn();
+            const unwatch = kvStore.watch('user:1:name', keyCallback);
+            kvStore.watch({ prefix: 'user:' }, prefixCallback);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'newTxId' } as CreateActionResult);
+
+            await kvStore.set('user:1:name', 'Alice');
+            await kvStore.set('user:2:name', 'Bob');
+            await kvStore.set('theme', 'dark');
+            unwatch();
+            await kvStore.set('user:1:name', 'Alicia');
+
+            expect(keyCallback).toHaveBeenCalledTimes(1);
+            expect(keyCallback).toHaveBeenCalledWith(expect.objectContaining({ key: 'user:1:name' }));
+            expect(prefixCallback).toHaveBeenCalledTimes(3);
+            expect(listener).toHaveBeenCalledTimes(4);
+        });
+
+        it('should stop calling listeners removed with off', async () => {
+            kvStore.off('change', listener);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'newTxId' } as CreateActionResult);
+
+            await kvStore.set(testKey, testValue);
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('should report remote changes found by diffing polls', async () => {
+            listTokens(['a.0', 'theme'], ['b.0', 'lang'], ['c.0', 'old']);
+            await expect(kvStore.poll()).resolves.toEqual([]);
+
+            listTokens(['d.0', 'theme'], ['b.0', 'lang'], ['e.0', 'new'], ['f.0', 'new']);
+            const events = await kvStore.poll();
+
+            expect(events).toEqual([
+                { type: 'set', key: 'theme', oldOutpoints: ['a.0'], newOutpoints: ['d.0'], remote: true },
+                { type: 'remove', key: 'old', oldOutpoints: ['c.0'], newOutpoints: [], remote: true },
+                { type: 'set', key: 'new', oldOutpoints: [], newOutpoints: ['e.0', 'f.0'], remote: true }
+            ]);
+            expect(listener).toHaveBeenCalledTimes(3);
+        });
+
+        it('should not report local changes again when polling', async () => {
+            listTokens(['a.0', testKey]);
+            await kvStore.poll();
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [output('a.0')], totalOutputs: 1, BEEF: [] } as any);
+            mockWallet.createAction.mockResolvedValue({
+                signableTransaction: { reference: 'ref', tx: [] }
+            } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'localTxId' } as SignActionResult);
+            await kvStore.set(testKey, testValue);
+
+            listTokens(['localTxId.0', testKey]);
+            await expect(kvStore.poll()).resolves.toEqual([]);
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('should poll on an interval until stopped', async () => {
+            jest.useFakeTimers();
+            try {
+                mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0 } as any);
+                kvStore.startPolling(1000);
+
+                await jest.advanceTimersByTimeAsync(2500);
+                expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+
+                kvStore.stopPolling();
+                await jest.advanceTimersByTimeAsync(2000);
+                expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        it('should skip intervals while a slow poll is still running', async () => {
+            jest.useFakeTimers();
+            try {
+                // Each listing takes 2.5 intervals to answer
+                mockWallet.listOutputs.mockImplementation(() => new Promise(resolve => {
+                    setTimeout(() => resolve({ outputs: [], totalOutputs: 0 } as any), 2500);
+                }));
+                kvStore.startPolling(1000);
+
+                await jest.advanceTimersByTimeAsync(3000);
+                expect(mockWallet.listOutputs).toHaveBeenCalledTimes(1);
+
+                await jest.advanceTimersByTimeAsync(1000);
+                expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+                kvStore.stopPolling();
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+
+    describe('conflict resolution and repair', () => {
+        const defaultFromHex = MockedLockingScript.fromHex.getMockImplementation();
+        // Locking scripts decode to the fields registered for them; unregistered scripts are not tokens
+        const scripts: Record<string, Array<number[] | Buffer>> = {};
+        const heights: Record<string, number> = {};
+        const token = (outpoint: string, key: string | null, value = '', blockHeight?: number) => {
+            const hex = `script-${outpoint}`;
+            if (key !== null) {
+                scripts[hex] = [Buffer.from(key), Buffer.from(value), utf8Format];
+            }
+            if (blockHeight !== undefined) {
+                heights[outpoint.split('.')[0]] = blockHeight;
+            }
+            return { outpoint, lockingScript: hex };
+        };
+        const expiredToken = (outpoint: string, key: string) => {
+            const output = token(outpoint, key);
+            scripts[output.lockingScript] = [
+                Buffer.from(key), Buffer.from('stale'), utf8WriteFormat, Buffer.from(JSON.stringify({ expiresAt: testNow - 1 }))
+            ];
+            return output;
+        };
+        // Lists the given outputs, tagged with their keys, for tag queries, and the whole context for scans
+        const listOutputs = (byKey: Record<string, Array<{ outpoint: string, lockingScript: string }>>) => {
+            mockWallet.listOutputs.mockImplementation(async ({ tags }) => {
+                const outputs = tags === undefined
+                    ? Object.values(byKey).flat()
+                    : tags.flatMap(tag => (byKey[tag] ?? []).map(output => ({ ...output, tags: [tag] })));
+                return { outputs, totalOutputs: outputs.length, BEEF: [1, 2, 3] } as any;
+            });
+        };
+
+        beforeEach(() => {
+            for (const hex in scripts) delete scripts[hex];
+            for (const txid in heights) delete heights[txid];
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedLockingScript.fromHex.mockImplementation((hex: string) => ({ hex }) as any);
+            MockedPushDropDecode.mockReset();
+            MockedPushDropDecode.mockImplementation(({ hex }) => {
+                if (scripts[hex] === undefined) throw new Error('Not a PushDrop script');
+                return { fields: scripts[hex] };
+            });
+            MockedBeef.fromBinary.mockReturnValue({
+                findTxid: (txid: string) => ({ tx: { outputs: [{ lockingScript: { toHex: () => `script-${txid}.0` } }] } }),
+                findBump: (txid: string) => heights[txid] !== undefined ? { blockHeight: heights[txid] } : undefined
+            } as any);
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'collapsedTxId' } as SignActionResult);
+        });
+
+        afterEach(() => {
+            MockedLockingScript.fromHex.mockImplementation(defaultFromHex);
+        });
+
+        it('should still throw on multiple tokens by default', async () => {
+            listOutputs({ [testKey]: [token('a.0', testKey, 'one'), token('b.0', testKey, 'two')] });
+
+            await expect(kvStore.get(testKey)).rejects.toThrow('Multiple tokens found for this key.');
+        });
+
+        it('should read the most recent token with the last policy', async () => {
+            listOutputs({ [testKey]: [token('a.0', testKey, 'unmined'), token('b.0', testKey, 'high', 200), token('c.0', testKey, 'low', 100)] });
+
+            await expect(kvStore.get(testKey, undefined, 'last')).resolves.toBe('unmined');
+            expect(mockWallet.listOutputs).toHaveBeenLastCalledWith({
+                basket: testContext,
+                tags: [testKey],
+                include: 'entire transactions'
+            });
+
+            listOutputs({ [testKey]: [token('b.0', testKey, 'high', 200), token('c.0', testKey, 'low', 100)] });
+            await expect(kvStore.get(testKey, undefined, 'last')).resolves.toBe('high');
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should order unmined tokens by the time they were written with the last policy', async () => {
+            const written = (outpoint: string, value: string, updatedAt: number) => {
+                const output = token(outpoint, testKey, value);
+                scripts[output.lockingScript] = [
+                    Buffer.from(testKey), Buffer.from(value), utf8WriteFormat, Buffer.from(JSON.stringify({ updatedAt }))
+                ];
+                return output;
+            };
+            listOutputs({ [testKey]: [written('a.0', 'later', 2000), written('b.0', 'earlier', 1000), token('c.0', testKey, 'legacy')] });
+
+            await expect(kvStore.get(testKey, undefined, 'last')).resolves.toBe('later');
+        });
+
+        it('should read the first listed token with the first policy', async () => {
+            listOutputs({ [testKey]: [token('a.0', testKey, 'one'), token('b.0', testKey, 'two')] });
+
+            await expect(kvStore.get(testKey, undefined, 'first')).resolves.toBe('one');
+        });
+
+        it('should merge candidates with a custom policy set on the store', async () => {
+            const merge = jest.fn((candidates: Array<{ value: string }>) => candidates.map(c => c.value).join('+'));
+            kvStore = new localKVStore(mockWallet, testContext, false, { conflictPolicy: merge });
+            listOutputs({ [testKey]: [token('a.0', testKey, 'one', 5), token('bad.0', null), token('b.0', testKey, 'two')] });
+
+            await expect(kvStore.get(testKey)).resolves.toBe('one+two');
+            expect(merge).toHaveBeenCalledWith([
+                { value: 'one', outpoint: 'a.0', blockHeight: 5 },
+                { value: 'two', outpoint: 'b.0', blockHeight: undefined }
+            ]);
+        });
+
+        it('should collapse the tokens of a key into the resolved value', async () => {
+            listOutputs({ [testKey]: [token('a.0', testKey, 'old', 100), token('b.0', testKey, 'new', 101)] });
+
+            const report = await kvStore.resolveConflicts(testKey);
+
+            expect(report).toEqual({
+                collapsed: [{ key: testKey, oldOutpoints: ['a.0', 'b.0'], newOutpoint: 'collapsedTxId.0' }],
+                removed: [],
+                relinquished: []
+            });
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: [expect.objectContaining({ outpoint: 'a.0' }), expect.objectContaining({ outpoint: 'b.0' })]
+            }));
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [Array.from(Buffer.from(testKey)), Array.from(Buffer.from('new')), utf8WriteFormat, testMetadata],
+                [2, testContext], testKey, 'self'
+            );
+        });
+
+        it('should keep the metadata and readers of the chosen token when collapsing', async () => {
+            const readerKey = '03' + 'bb'.repeat(32);
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            const written = (outpoint: string, value: string, metadata: object, shared = false) => {
+                const output = token(outpoint, testKey, value);
+                const field = shared
+                    ? JSON.stringify({
+                        keys: { '01': '2a' },
+                        ciphertext: Buffer.from(Buffer.from(value).map(b => b ^ 42)).toString('hex'),
+                        readers: Buffer.from(JSON.stringify([readerKey])).toString('hex')
+                    })
+                    : value;
+                scripts[output.lockingScript] = [
+                    Buffer.from(testKey), Buffer.from(field), [shared ? 0x82 : 0x81, 0], Buffer.from(JSON.stringify(metadata))
+                ];
+                return output;
+            };
+            MockedUtils.toArray.mockImplementation((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding)));
+            mockWallet.createHmac.mockResolvedValue({ hmac: [1] });
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.decrypt.mockImplementation(async ({ ciphertext }) => ({ plaintext: ciphertext }));
+            const kept = { contentType: 'text/plain', labels: ['greeting'], createdAt: 500, updatedAt: 2000, expiresAt: testNow + 1000 };
+            listOutputs({ [testKey]: [written('a.0', 'old', { createdAt: 500, updatedAt: 1000 }), written('b.0', 'new', kept, true)] });
+
+            await kvStore.resolveConflicts(testKey);
+
+            expect(mockWallet.encrypt).toHaveBeenCalledWith(expect.objectContaining({ counterparty: readerKey }));
+            const [fields] = (mockPDInstance.lock as jest.Mock).mock.calls[0];
+            expect(fields[2]).toEqual([0x82, 0]);
+            expect(JSON.parse(Buffer.from(fields[1]).toString('utf8')).readers).toBe(Buffer.from(JSON.stringify([readerKey])).toString('hex'));
+            expect(JSON.parse(Buffer.from(fields[3]).toString('utf8'))).toEqual({ ...kept, updatedAt: testNow });
+
+            // A value merged by a custom policy keeps the metadata of the most recent token
+            (mockPDInstance.lock as jest.Mock).mockClear();
+            await kvStore.resolveConflicts(testKey, candidates => candidates.map(c => c.value).join('+'));
+
+            const [mergedFields] = (mockPDInstance.lock as jest.Mock).mock.calls[0];
+            expect(JSON.parse(Buffer.from(mergedFields[3]).toString('utf8'))).toEqual({ ...kept, updatedAt: testNow });
+        });
+
+        it('should do nothing when a key is held by a single token', async () => {
+            listOutputs({ [testKey]: [token('a.0', testKey, 'only')] });
+
+            await expect(kvStore.resolveConflicts(testKey)).resolves.toEqual({ collapsed: [], removed: [], relinquished: [] });
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should relinquish the tokens of a key when none can be read', async () => {
+            listOutputs({ [testKey]: [token('bad.0', null), token('worse.0', null)] });
+
+            await expect(kvStore.resolveConflicts(testKey)).resolves.toEqual({ collapsed: [], removed: [], relinquished: ['bad.0', 'worse.0'] });
+            expect(mockWallet.relinquishOutput).toHaveBeenCalledWith({ output: 'bad.0', basket: testContext });
+            expect(mockWallet.relinquishOutput).toHaveBeenCalledWith({ output: 'worse.0', basket: testContext });
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should spend expired tokens rather than relinquish them', async () => {
+            listOutputs({ [testKey]: [expiredToken('a.0', testKey), expiredToken('b.0', testKey), token('bad.0', null)] });
+
+            await expect(kvStore.resolveConflicts(testKey)).resolves.toEqual({
+                collapsed: [],
+                removed: [{ key: testKey, oldOutpoints: ['a.0', 'b.0', 'bad.0'] }],
+                relinquished: []
+            });
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: [
+                    expect.objectContaining({ outpoint: 'a.0' }),
+                    expect.objectContaining({ outpoint: 'b.0' }),
+                    expect.objectContaining({ outpoint: 'bad.0' })
+                ]
+            }));
+            expect(mockWallet.signAction).toHaveBeenCalledTimes(1);
+
+            // A single expired token is spent too
+            mockWallet.createAction.mockClear();
+            listOutputs({ [testKey]: [expiredToken('a.0', testKey)] });
+            await expect(kvStore.resolveConflicts(testKey)).resolves.toEqual({
+                collapsed: [],
+                removed: [{ key: testKey, oldOutpoints: ['a.0'] }],
+                relinquished: []
+            });
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+        });
+
+        it('should collapse onto the live token when the others have expired', async () => {
+            listOutputs({ [testKey]: [expiredToken('a.0', testKey), token('b.0', testKey, 'live')] });
+
+            await expect(kvStore.resolveConflicts(testKey)).resolves.toEqual({
+                collapsed: [{ key: testKey, oldOutpoints: ['a.0', 'b.0'], newOutpoint: 'collapsedTxId.0' }],
+                removed: [],
+                relinquished: []
+            });
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+        });
+
+        it('should repair the whole context', async () => {
+            listOutputs({
+                a: [token('a1.0', 'a', 'first', 10), token('a2.0', 'a', 'second', 20)],
+                b: [token('b.0', 'b', 'single')],
+                junk: [token('junk.0', null)]
+            });
+
+            const report = await kvStore.repair();
+
+            expect(report).toEqual({
+                collapsed: [{ key: 'a', oldOutpoints: ['a1.0', 'a2.0'], newOutpoint: 'collapsedTxId.0' }],
+                removed: [],
+                relinquished: ['junk.0']
+            });
+            expect(mockWallet.listOutputs).toHaveBeenCalledWith({
+                basket: testContext,
+                include: 'locking scripts',
+                limit: 100,
+                offset: 0
+            });
+            expect(mockWallet.relinquishOutput).toHaveBeenCalledTimes(1);
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not relinquish tokens the wallet fails to decrypt', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, true);
+            mockWallet.decrypt.mockRejectedValue(new Error('Permission denied'));
+            listOutputs({ [testKey]: [token('a.0', testKey, 'one'), token('b.0', testKey, 'two')] });
+
+            await expect(kvStore.repair()).rejects.toThrow('Permission denied');
+            await expect(kvStore.resolveConflicts(testKey)).rejects.toThrow('Permission denied');
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should remove keys with expired duplicates together when repairing', async () => {
+            listOutputs({
+                x: [expiredToken('x1.0', 'x'), expiredToken('x2.0', 'x')],
+                y: [expiredToken('y1.0', 'y'), expiredToken('y2.0', 'y')]
+            });
+
+            await expect(kvStore.repair()).resolves.toEqual({
+                collapsed: [],
+                removed: [{ key: 'x', oldOutpoints: ['x1.0', 'x2.0'] }, { key: 'y', oldOutpoints: ['y1.0', 'y2.0'] }],
+                relinquished: []
+            });
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: ['x1.0', 'x2.0', 'y1.0', 'y2.0'].map(outpoint => expect.objectContaining({ outpoint }))
+            }));
+        });
+    });
+
+    describe('sharing', () => {
+        const ownerKey = '02' + 'aa'.repeat(32);
+        const readerKey = '03' + 'bb'.repeat(32);
+        const otherKey = '03' + 'cc'.repeat(32);
+        const bytes = (str: string) => Array.from(Buffer.from(str));
+        const hex = (str: string) => Buffer.from(str).toString('hex');
+        // The fake wallet's HMAC is the same for both sides of a pair of identities, like the real one
+        const tag = (a: string, b: string) => hex([a, b].sort().join(':'));
+        let identity: string;
+        // The value 'hi' sealed for the owner and the reader, with wrapped keys left unencrypted by the fake wallet
+        const envelope = {
+            keys: { [tag(ownerKey, ownerKey)]: '2a', [tag(ownerKey, readerKey)]: '2a' },
+            ciphertext: Buffer.from(bytes('hi').map(b => b ^ 42)).toString('hex'),
+            readers: hex(JSON.stringify([readerKey]))
+        };
+        const sharedFields = () => [bytes(testKey), bytes(JSON.stringify(envelope)), [2, 0]];
+        const sharedToken = { context: testContext, key: testKey, owner: ownerKey, outpoint: 'sharedTxId.0', beef: [9, 9] };
+
+        beforeEach(() => {
+            identity = ownerKey;
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedPushDropDecode.mockReset();
+            mockWallet.getPublicKey.mockImplementation(async () => ({ publicKey: identity }));
+            mockWallet.createHmac.mockImplementation(async ({ counterparty }) => ({
+                hmac: bytes([identity, counterparty === 'self' ? identity : counterparty as string].sort().join(':'))
+            }));
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.decrypt.mockImplementation(async ({ ciphertext }) => ({ plaintext: ciphertext }));
+        });
+
+        it('should seal the value for the owner and every reader', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'sharedTxId' } as CreateActionResult);
+
+            await expect(kvStore.set(testKey, 'hi', { readers: [readerKey] })).resolves.toBe('sharedTxId.0');
+
+            expect(mockWallet.encrypt).toHaveBeenCalledTimes(3);
+            expect(mockWallet.encrypt).toHaveBeenCalledWith({ plaintext: bytes(JSON.stringify([readerKey])), protocolID: [2, testContext], keyID: testKey, counterparty: 'self' });
+            expect(mockWallet.encrypt).toHaveBeenCalledWith({ plaintext: [42], protocolID: [2, testContext], keyID: testKey, counterparty: 'self' });
+            expect(mockWallet.encrypt).toHaveBeenCalledWith({ plaintext: [42], protocolID: [2, testContext], keyID: testKey, counterparty: readerKey });
+            expect(mockWallet.createHmac).toHaveBeenCalledWith({
+                data: bytes('kvstore reader'),
+                protocolID: [2, testContext],
+                keyID: testKey,
+                counterparty: readerKey
+            });
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [bytes(testKey), bytes(JSON.stringify(envelope)), [0x82, 0], testMetadata],
+                [2, testContext],
+                testKey,
+                'self'
+            );
+        });
+
+        it('should not write the owner or reader identity keys to the token', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'sharedTxId' } as CreateActionResult);
+
+            // Listing the owner as a reader does not add a second wrapped key
+            await kvStore.set(testKey, 'hi', { readers: [readerKey, ownerKey] });
+
+            const written = Buffer.from((mockPDInstance.lock as jest.Mock).mock.calls[0][0][1]).toString('utf8');
+            expect(JSON.parse(written).keys).toEqual(envelope.keys);
+            expect(written).not.toContain(ownerKey);
+            expect(written).not.toContain(readerKey);
+        });
+
+        it('should accept a single reader', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'sharedTxId' } as CreateActionResult);
+
+            await kvStore.set(testKey, 'hi', { readers: readerKey });
+
+            expect(mockWallet.encrypt).toHaveBeenCalledWith(expect.objectContaining({ counterparty: readerKey }));
+        });
+
+        it('should let the owner read a shared value', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [{ outpoint: testOutpoint, lockingScript: testLockingScriptHex }], totalOutputs: 1 } as any);
+            MockedPushDropDecode.mockReturnValue({ fields: sharedFields() });
+
+            await expect(kvStore.get(testKey)).resolves.toBe('hi');
+            expect(mockWallet.decrypt).toHaveBeenCalledWith({
+                protocolID: [2, testContext],
+                keyID: testKey,
+                counterparty: 'self',
+                ciphertext: [42]
+            });
+        });
+
+        it('should export a shared token with its atomic BEEF', async () => {
+            const toBinaryAtomic = jest.fn(() => [9, 9]);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [{ outpoint: 'sharedTxId.0' }], totalOutputs: 1, BEEF: [1, 2, 3] } as any);
+            MockedBeef.fromBinary.mockReturnValue({
+                findTxid: () => ({ tx: { outputs: [{ lockingScript: { toHex: () => testLockingScriptHex } }] } }),
+                toBinaryAtomic
+            } as any);
+            MockedPushDropDecode.mockReturnValue({ fields: sharedFields() });
+
+            await expect(kvStore.exportToken(testKey)).resolves.toEqual(sharedToken);
+            expect(toBinaryAtomic).toHaveBeenCalledWith('sharedTxId');
+
+            MockedPushDropDecode.mockReturnValue({ fields: [bytes(testKey), bytes('hi'), utf8Format] });
+            await expect(kvStore.exportToken(testKey)).rejects.toThrow(
+                `The value for ${testKey} is not shared with any readers. Set it with readers before exporting it.`
+            );
+        });
+
+        it('should return undefined when exporting a missing key', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+
+            await expect(kvStore.exportToken(testKey)).resolves.toBeUndefined();
+        });
+
+        it('should report a token whose transaction the wallet did not return when exporting', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [{ outpoint: 'sharedTxId.0' }], totalOutputs: 1, BEEF: [1, 2, 3] } as any);
+            MockedBeef.fromBinary.mockReturnValue({ findTxid: () => undefined } as any);
+
+            await expect(kvStore.exportToken(testKey)).rejects.toThrow(
+                'The wallet did not return the transaction of the sharedTxId.0 output.'
+            );
+        });
+
+        it('should let a reader read an exported token with their own store', async () => {
+            const readerStore = new localKVStore(mockWallet, 'reader-context', true);
+            identity = readerKey;
+            MockedTransaction.fromAtomicBEEF.mockReturnValueOnce({
+                id: () => 'sharedTxId',
+                outputs: [{ lockingScript: { toHex: () => testLockingScriptHex } }]
+            } as any);
+            MockedPushDropDecode.mockReturnValue({ fields: sharedFields() });
+
+            await expect(readerStore.readShared(sharedToken)).resolves.toBe('hi');
+            expect(MockedTransaction.fromAtomicBEEF).toHaveBeenCalledWith([9, 9]);
+            expect(mockWallet.decrypt).toHaveBeenCalledTimes(1);
+            expect(mockWallet.decrypt).toHaveBeenCalledWith({
+                protocolID: [2, testContext],
+                keyID: testKey,
+                counterparty: ownerKey,
+                ciphertext: [42]
+            });
+        });
+
+        it('should refuse to read a token not shared with this identity', async () => {
+            identity = otherKey;
+            MockedTransaction.fromAtomicBEEF.mockReturnValueOnce({
+                id: () => 'sharedTxId',
+                outputs: [{ lockingScript: { toHex: () => testLockingScriptHex } }]
+            } as any);
+            MockedPushDropDecode.mockReturnValue({ fields: sharedFields() });
+
+            await expect(kvStore.readShared(sharedToken))
+                .rejects.toThrow(`The value for ${testKey} is not shared with this identity.`);
+        });
+
+        it('should reject BEEF that does not hold the exported outpoint', async () => {
+            MockedTransaction.fromAtomicBEEF.mockReturnValueOnce({ id: () => 'otherTxId', outputs: [] } as any);
+
+            await expect(kvStore.readShared(sharedToken))
+                .rejects.toThrow('The shared token BEEF does not contain the sharedTxId.0 output.');
+        });
+    });
+
+    describe('export, import and migration', () => {
+        const bytes = (str: string) => Array.from(Buffer.from(str));
+        const hex = (str: string) => Buffer.from(str).toString('hex');
+        const signerKey = '02' + 'aa'.repeat(32);
+        const mockBeefInstance = new MockedBeef();
+        const mockProtoWallet = new (ProtoWallet as jest.MockedClass<typeof ProtoWallet>)();
+        const snapshot = {
+            context: testContext,
+            codec: 'utf8',
+            entries: [
+                { key: 'a', value: hex('1'), outpoint: 'a.0', metadata: {}, satoshis: 1 },
+                { key: 'b', value: hex('2'), outpoint: 'b.0', metadata: { createdAt: 500 }, satoshis: 5 }
+            ],
+            beef: 'beef',
+            signer: signerKey,
+            signature: '5151'
+        };
+        const signedData = bytes(JSON.stringify({
+            context: snapshot.context,
+            codec: snapshot.codec,
+            entries: snapshot.entries,
+            beef: snapshot.beef,
+            signer: snapshot.signer
+        }));
+
+        beforeEach(() => {
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string, encoding = 'utf8') => Array.from(Buffer.from(str, encoding as BufferEncoding)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedPushDropDecode.mockReset();
+            mockWallet.getPublicKey.mockResolvedValue({ publicKey: signerKey });
+            (mockProtoWallet.verifySignature as jest.Mock).mockResolvedValue({ valid: true });
+        });
+
+        it('should export every pair with the BEEF of its token and sign the snapshot', async () => {
+            mockWallet.listOutputs.mockResolvedValueOnce({
+                outputs: [{ outpoint: 'a.0', satoshis: 1 }, { outpoint: 'junk.0', satoshis: 1 }, { outpoint: 'b.0', satoshis: 5 }],
+                totalOutputs: 3,
+                BEEF: [1, 2, 3]
+            } as any);
+            (mockBeefInstance.findTxid as jest.Mock).mockImplementation((txid: string) =>
+                ({ tx: { outputs: [{ lockingScript: { toHex: () => txid } }] } }));
+            (mockBeefInstance.toBinary as jest.Mock).mockReturnValue([0xbe, 0xef]);
+            MockedLockingScript.fromHex.mockImplementationOnce((txid: string) => ({ txid }) as any)
+                .mockImplementationOnce((txid: string) => ({ txid }) as any)
+                .mockImplementationOnce((txid: string) => ({ txid }) as any);
+            MockedPushDropDecode.mockImplementation(({ txid }) => {
+                if (txid === 'junk') throw new Error('Not a PushDrop script');
+                return txid === 'a'
+                    ? { fields: [bytes(txid), bytes('1'), utf8Format] }
+                    : { fields: [bytes(txid), bytes('2'), utf8WriteFormat, bytes(JSON.stringify({ createdAt: 500 }))] };
+            });
+            mockWallet.createSignature.mockResolvedValue({ signature: [0x51, 0x51] });
+
+            const exported = await kvStore.exportContext();
+
+            expect(exported).toEqual(snapshot);
+            expect(mockWallet.listOutputs).toHaveBeenCalledWith({
+                basket: testContext,
+                include: 'entire transactions',
+                limit: 100,
+                offset: 0
+            });
+            expect(mockBeefInstance.mergeBeef).toHaveBeenCalledWith([1, 2, 3]);
+            expect(mockWallet.createSignature).toHaveBeenCalledWith({
+                data: signedData,
+                protocolID: [2, 'kvstore snapshot'],
+                keyID: testContext,
+                counterparty: 'anyone'
+            });
+        });
+
+        it('should verify a snapshot and recreate its pairs in batches', async () => {
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction
+                .mockResolvedValueOnce({ txid: 'importTx1' } as CreateActionResult)
+                .mockResolvedValueOnce({ txid: 'importTx2' } as CreateActionResult);
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+
+            await expect(kvStore.importContext(snapshot, { batchSize: 1 })).resolves.toEqual({ a: 'importTx1.0', b: 'importTx2.0' });
+
+            expect(mockProtoWallet.verifySignature).toHaveBeenCalledWith({
+                data: signedData,
+                signature: [0x51, 0x51],
+                protocolID: [2, 'kvstore snapshot'],
+                keyID: testContext,
+                counterparty: signerKey
+            });
+            expect(ProtoWallet).toHaveBeenCalledWith('anyone');
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(2);
+            expect(mockWallet.createAction).toHaveBeenLastCalledWith(expect.objectContaining({
+                outputs: [expect.objectContaining({ satoshis: 5 })]
+            }));
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                [bytes('b'), bytes('2'), utf8WriteFormat, bytes(JSON.stringify({ createdAt: 500, updatedAt: testNow }))],
+                [2, testContext], 'b', 'self'
+            );
+        });
+
+        it('should reject a snapshot whose signature does not verify', async () => {
+            (mockProtoWallet.verifySignature as jest.Mock).mockRejectedValue(new Error('Signature is not valid'));
+
+            await expect(kvStore.importContext({ ...snapshot, entries: [] })).rejects.toThrow(
+                'The snapshot signature does not match its contents and signer.'
+            );
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should reject a snapshot re-signed by another key', async () => {
+            const otherKey = '03' + 'cc'.repeat(32);
+            // The signature is valid for the new signer, so only the signer check stops the import
+            const resigned = { ...snapshot, signer: otherKey, signature: '5252' };
+
+            await expect(kvStore.importContext(resigned)).rejects.toThrow(
+                `The snapshot is signed by ${otherKey}, not by the expected signer ${signerKey}.`
+            );
+            expect(mockWallet.getPublicKey).toHaveBeenCalledWith({ identityKey: true });
+            expect(mockProtoWallet.verifySignature).not.toHaveBeenCalled();
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should import a snapshot signed by an expected signer other than this wallet', async () => {
+            const otherKey = '03' + 'cc'.repeat(32);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'importTx' } as CreateActionResult);
+
+            await expect(kvStore.importContext({ ...snapshot, signer: otherKey }, { expectedSigner: otherKey }))
+                .resolves.toEqual({ a: 'importTx.0', b: 'importTx.1' });
+            expect(mockWallet.getPublicKey).not.toHaveBeenCalled();
+            expect(mockProtoWallet.verifySignature).toHaveBeenCalledWith(expect.objectContaining({ counterparty: otherKey }));
+        });
+
+        it('should reject a snapshot written with another codec', async () => {
+            const store = new localKVStore(mockWallet, testContext, false, { codec: jsonCodec });
+
+            await expect(store.importContext(snapshot)).rejects.toThrow(
+                'The snapshot was written with the utf8 codec, but this store reads values with the json codec.'
+            );
+        });
+
+        it('should move pairs to a new context before spending the old tokens', async () => {
+            mockWallet.listOutputs.mockImplementation(async ({ basket, include, tags }) => {
+                if (include === 'locking scripts') {
+                    return { outputs: [{ outpoint: 'a.0', lockingScript: 's' }], totalOutputs: 1 } as any;
+                }
+                if (basket === testContext) {
+                    return { outputs: [{ outpoint: 'a.0', tags }], totalOutputs: 1, BEEF: [1] } as any;
+                }
+                return { outputs: [], totalOutputs: 0, BEEF: undefined };
+            });
+            MockedPushDropDecode.mockReturnValue({ fields: [bytes('a'), bytes('1'), utf8Format] });
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.createAction
+                .mockResolvedValueOnce({ txid: 'moveTx' } as CreateActionResult)
+                .mockResolvedValueOnce({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'spendTx' } as SignActionResult);
+
+            const target = await kvStore.migrate('new-context', { encrypt: true });
+
+            expect(target).toBeInstanceOf(localKVStore);
+            expect(mockWallet.encrypt).toHaveBeenCalledWith(expect.objectContaining({ protocolID: [2, 'new-context'] }));
+            expect(mockWallet.createAction).toHaveBeenNthCalledWith(1, expect.objectContaining({
+                outputs: [expect.objectContaining({ basket: 'new-context', tags: ['a'] })]
+            }));
+            expect(mockWallet.createAction).toHaveBeenNthCalledWith(2, expect.objectContaining({
+                inputs: [expect.objectContaining({ outpoint: 'a.0' })],
+                outputs: undefined
+            }));
+        });
+
+        it('should re-encrypt in place when migrating to the same context', async () => {
+            mockWallet.listOutputs.mockImplementation(async ({ include, tags }) => {
+                if (include === 'locking scripts') {
+                    return { outputs: [{ outpoint: 'a.0', lockingScript: 's' }], totalOutputs: 1 } as any;
+                }
+                return { outputs: [{ outpoint: 'a.0', tags }], totalOutputs: 1, BEEF: [1] } as any;
+            });
+            MockedPushDropDecode.mockReturnValue({ fields: [bytes('a'), bytes('1'), utf8Format] });
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'reencryptTx' } as SignActionResult);
+
+            await kvStore.migrate(testContext, { encrypt: true });
+
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: [expect.objectContaining({ outpoint: 'a.0' })],
+                outputs: [expect.objectContaining({ basket: testContext, tags: ['a'] })]
+            }));
+            expect(mockWallet.encrypt).toHaveBeenCalledWith(expect.objectContaining({ protocolID: [2, testContext], keyID: 'a' }));
+        });
+
+        it('should keep the creation time and satoshis of each pair when migrating', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            mockWallet.listOutputs.mockImplementation(async ({ include, tags }) => {
+                if (include === 'locking scripts') {
+                    return { outputs: [{ outpoint: 'a.0', lockingScript: 's', satoshis: 3 }], totalOutputs: 1 } as any;
+                }
+                return { outputs: [{ outpoint: 'a.0', tags, satoshis: 3 }], totalOutputs: 1, BEEF: [1] } as any;
+            });
+            MockedPushDropDecode.mockReturnValue({
+                fields: [bytes('a'), bytes('1'), utf8WriteFormat, bytes(JSON.stringify({ createdAt: 500, updatedAt: 1000 }))]
+            });
+            // The encrypting store cannot read the plaintext metadata of the token it replaces
+            mockWallet.decrypt.mockRejectedValue(new Error('Decryption failed'));
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'reencryptTx' } as SignActionResult);
+
+            await kvStore.migrate(testContext, { encrypt: true });
+
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                outputs: [expect.objectContaining({ satoshis: 3 })]
+            }));
+            const [fields] = (mockPDInstance.lock as jest.Mock).mock.calls[0];
+            expect(fields[3]).toEqual(bytes(JSON.stringify({ createdAt: 500, updatedAt: testNow })));
+        });
+    });
+
+    describe('metadata and expiry', () => {
+        const bytes = (str: string) => Array.from(Buffer.from(str));
+        const metadataFields = (key: string, value: string, metadata: object) =>
+            [bytes(key), bytes(value), utf8WriteFormat, bytes(JSON.stringify(metadata))];
+        // Lists one token per [outpoint, fields] pair, decoding each from its own locking script
+        const listTokens = (...tokens: Array<[string, number[][]]>) => {
+            mockWallet.listOutputs.mockResolvedValueOnce({
+                outputs: tokens.map(([outpoint]) => ({ outpoint, lockingScript: outpoint })),
+                totalOutputs: tokens.length
+            } as any);
+        };
+        const defaultFromHex = MockedLockingScript.fromHex.getMockImplementation();
+        const scripts: Record<string, number[][]> = {};
+        const token = (outpoint: string, fields: number[][]): [string, number[][]] => {
+            scripts[outpoint] = fields;
+            return [outpoint, fields];
+        };
+
+        beforeEach(() => {
+            for (const hex in scripts) delete scripts[hex];
+            kvStore = new localKVStore(mockWallet, testContext, false);
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedLockingScript.fromHex.mockImplementation((hex: string) => ({ hex }) as any);
+            MockedPushDropDecode.mockReset();
+            MockedPushDropDecode.mockImplementation(({ hex }) => {
+                if (scripts[hex] === undefined) throw new Error('Not a PushDrop script');
+                return { fields: scripts[hex] };
+            });
+        });
+
+        afterEach(() => {
+            MockedLockingScript.fromHex.mockImplementation(defaultFromHex);
+        });
+
+        it('should record metadata and use the given satoshis and output description', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'metaTxId' } as CreateActionResult);
+
+            await kvStore.set(testKey, 'value', {
+                contentType: 'text/plain',
+                labels: ['session'],
+                ttl: 60000,
+                satoshis: 10,
+                outputDescription: 'Session token'
+            });
+
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                metadataFields(testKey, 'value', {
+                    contentType: 'text/plain',
+                    labels: ['session'],
+                    createdAt: testNow,
+                    updatedAt: testNow,
+                    expiresAt: testNow + 60000
+                }),
+                [2, testContext],
+                testKey,
+                'self'
+            );
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                outputs: [expect.objectContaining({ satoshis: 10, outputDescription: 'Session token' })]
+            }));
+        });
+
+        it('should encrypt the metadata along with the value', async () => {
+            kvStore = new localKVStore(mockWallet, testContext, true);
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'metaTxId' } as CreateActionResult);
+
+            await kvStore.set(testKey, 'value');
+
+            expect(mockWallet.encrypt).toHaveBeenCalledWith({
+                plaintext: testMetadata,
+                protocolID: [2, testContext],
+                keyID: testKey
+            });
+        });
+
+        it('should keep the creation time of a key across updates', async () => {
+            const mockPDInstance = new MockedPushDrop(mockWallet);
+            scripts.previous = metadataFields(testKey, 'old', { createdAt: 5, updatedAt: 6 });
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [{ outpoint: 'prev.0' }], totalOutputs: 1, BEEF: [1] } as any);
+            MockedBeef.fromBinary.mockReturnValue({
+                findTxid: () => ({ tx: { outputs: [{ lockingScript: { toHex: () => 'previous' } }] } })
+            } as any);
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'updateTxId' } as SignActionResult);
+
+            await kvStore.set(testKey, 'new');
+
+            expect(mockPDInstance.lock).toHaveBeenCalledWith(
+                metadataFields(testKey, 'new', { createdAt: 5, updatedAt: testNow }),
+                [2, testContext],
+                testKey,
+                'self'
+            );
+        });
+
+        it('should read metadata, which is empty for tokens written without it', async () => {
+            listTokens(token('a.0', metadataFields(testKey, 'v', { contentType: 'text/plain', createdAt: 1, updatedAt: 2 })));
+            await expect(kvStore.getMetadata(testKey)).resolves.toEqual({ contentType: 'text/plain', createdAt: 1, updatedAt: 2 });
+
+            listTokens(token('b.0', [bytes(testKey), bytes('v'), utf8Format]));
+            await expect(kvStore.getMetadata(testKey)).resolves.toEqual({});
+
+            listTokens();
+            await expect(kvStore.getMetadata(testKey)).resolves.toBeUndefined();
+        });
+
+        it('should treat expired entries as missing', async () => {
+            listTokens(token('a.0', metadataFields(testKey, 'v', { expiresAt: testNow })));
+            await expect(kvStore.get(testKey, 'gone')).resolves.toBe('gone');
+
+            listTokens(token('b.0', metadataFields(testKey, 'v', { expiresAt: testNow + 1 })));
+            await expect(kvStore.get(testKey, 'gone')).resolves.toBe('v');
+        });
+
+        it('should not serve expired entries from the cache', async () => {
+            let now = testNow;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            kvStore = new localKVStore(mockWallet, testContext, false, { cache: { ttl: 60000 } });
+            listTokens(token('a.0', metadataFields(testKey, 'v', { expiresAt: testNow + 1000 })));
+            await expect(kvStore.get(testKey)).resolves.toBe('v');
+
+            now += 1000;
+            await expect(kvStore.get(testKey, 'gone')).resolves.toBe('gone');
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(1);
+        });
+
+        it('should leave expired entries out of listings', async () => {
+            listTokens(
+                token('a.0', metadataFields('a', '1', { expiresAt: testNow - 1 })),
+                token('b.0', metadataFields('b', '2', { createdAt: 1 }))
+            );
+
+            await expect(kvStore.entries()).resolves.toEqual([
+                { key: 'b', value: '2', outpoint: 'b.0', metadata: { createdAt: 1 } }
+            ]);
+        });
+
+        it('should reject tokens flagged with metadata that lack the metadata field', async () => {
+            listTokens(token('a.0', [bytes(testKey), bytes('v'), utf8WriteFormat]));
+
+            await expect(kvStore.get(testKey)).rejects.toThrow('Invalid value found.');
+        });
+
+        it('should sweep keys whose tokens have all expired', async () => {
+            listTokens(
+                token('a.0', metadataFields('a', '1', { expiresAt: testNow - 1 })),
+                token('b.0', metadataFields('b', '2', { expiresAt: testNow + 1 })),
+                token('c1.0', metadataFields('c', '3', { expiresAt: testNow - 1 })),
+                token('c2.0', metadataFields('c', '4', {})),
+                token('d.0', metadataFields('d', '5', { expiresAt: testNow - 1 }))
+            );
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [{ outpoint: 'a.0', tags: ['a'] }, { outpoint: 'd.0', tags: ['d'] }],
+                totalOutputs: 2,
+                BEEF: [1]
+            } as any);
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'sweepTxId' } as SignActionResult);
+
+            await expect(kvStore.sweep()).resolves.toEqual(['a', 'd']);
+
+            expect(mockWallet.listOutputs).toHaveBeenNthCalledWith(2, expect.objectContaining({ tags: ['a', 'd'] }));
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(1);
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: [expect.objectContaining({ outpoint: 'a.0' }), expect.objectContaining({ outpoint: 'd.0' })],
+                outputs: undefined
+            }));
+        });
+
+        it('should sweep nothing when no entries have expired', async () => {
+            listTokens(token('b.0', metadataFields('b', '2', {})));
+
+            await expect(kvStore.sweep()).resolves.toEqual([]);
+            expect(mockWallet.createAction).not.toHaveBeenCalled();
+        });
+
+        it('should report expired keys as missing from has and keys', async () => {
+            listTokens(token('a.0', metadataFields(testKey, 'v', { expiresAt: testNow - 1 })));
+            await expect(kvStore.has(testKey)).resolves.toBe(false);
+
+            listTokens(
+                token('b.0', metadataFields(testKey, 'v', { expiresAt: testNow - 1 })),
+                token('c.0', metadataFields(testKey, 'w', { expiresAt: testNow + 1 }))
+            );
+            await expect(kvStore.has(testKey)).resolves.toBe(true);
+
+            listTokens(
+                token('d.0', metadataFields('a', '1', { expiresAt: testNow - 1 })),
+                token('e.0', metadataFields('b', '2', {}))
+            );
+            await expect(kvStore.keys()).resolves.toEqual(['b']);
+        });
+
+        it('should skip tokens with corrupt metadata in listings rather than fail', async () => {
+            const corrupt = [bytes('a'), bytes('1'), utf8WriteFormat, bytes('not json')];
+            listTokens(token('a.0', corrupt), token('b.0', metadataFields('b', '2', {})));
+            await expect(kvStore.entries()).resolves.toEqual([
+                { key: 'b', value: '2', outpoint: 'b.0', metadata: {} }
+            ]);
+
+            listTokens(token('c.0', corrupt), token('d.0', metadataFields('b', '2', {})));
+            await expect(kvStore.keys()).resolves.toEqual(['b']);
+        });
+
+        it('should sweep past tokens with corrupt metadata', async () => {
+            listTokens(
+                token('a1.0', [bytes('a'), bytes('1'), utf8WriteFormat, bytes('not json')]),
+                token('a2.0', metadataFields('a', '2', { expiresAt: testNow - 1 })),
+                token('b.0', metadataFields('b', '3', { expiresAt: testNow - 1 }))
+            );
+            mockWallet.listOutputs.mockResolvedValue({
+                outputs: [{ outpoint: 'a1.0', tags: ['a'] }, { outpoint: 'a2.0', tags: ['a'] }, { outpoint: 'b.0', tags: ['b'] }],
+                totalOutputs: 3,
+                BEEF: [1]
+            } as any);
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'sweepTxId' } as SignActionResult);
+
+            await expect(kvStore.sweep()).resolves.toEqual(['a', 'b']);
+            expect(mockWallet.createAction).toHaveBeenCalledWith(expect.objectContaining({
+                inputs: [
+                    expect.objectContaining({ outpoint: 'a1.0' }),
+                    expect.objectContaining({ outpoint: 'a2.0' }),
+                    expect.objectContaining({ outpoint: 'b.0' })
+                ]
+            }));
+        });
+    });
+
+    // --- Cache Tests ---
+    describe('cache', () => {
+        const listToken = (outpoint: string, value: string) => {
+            mockWallet.listOutputs.mockResolvedValueOnce({
+                outputs: [{ outpoint, lockingScript: testLockingScriptHex }],
+                totalOutputs: 1
+            } as any);
+            MockedPushDropDecode.mockReturnValueOnce({ fields: [testEncryptedKey, Buffer.from(value), utf8Format] });
+        };
+        let now: number;
+        let dateNow: jest.SpyInstance;
+
+        beforeEach(() => {
+            now = 1000000;
+            dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+            kvStore = new localKVStore(mockWallet, testContext, true, { cache: { ttl: 5000 } });
+            MockedUtils.toArray.mockImplementation((str: string) => Array.from(Buffer.from(str)));
+            MockedUtils.toUTF8.mockImplementation((arr: number[]) => Buffer.from(arr).toString('utf8'));
+            MockedPushDropDecode.mockReset();
+            mockWallet.decrypt.mockImplementation(async ({ ciphertext }) => ({ plaintext: Array.from(ciphertext) }));
+        });
+
+        afterEach(() => {
+            dateNow.mockRestore();
+        });
+
+        it('should serve fresh entries without contacting the wallet', async () => {
+            listToken('a.0', 'cached');
+
+            await expect(kvStore.get(testKey)).resolves.toBe('cached');
+            now += 4999;
+            await expect(kvStore.get(testKey)).resolves.toBe('cached');
+
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(1);
+            expect(mockWallet.decrypt).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not undo a successful write when the cache backend fails', async () => {
+            const backend = {
+                get: jest.fn(),
+                set: jest.fn().mockRejectedValue(new Error('Quota exceeded')),
+                delete: jest.fn().mockRejectedValue(new Error('Quota exceeded')),
+                clear: jest.fn()
+            };
+            kvStore = new localKVStore(mockWallet, testContext, true, { cache: { backend } });
+            const listener = jest.fn();
+            kvStore.on('change', listener);
+            mockWallet.listOutputs.mockResolvedValue({ outputs: [{ outpoint: 'a.0' }], totalOutputs: 1, BEEF: [1] } as any);
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'spendTx' } as SignActionResult);
+
+            await expect(kvStore.set(testKey, 'value')).rejects.toThrow('Quota exceeded');
+            await expect(kvStore.remove(testKey)).rejects.toThrow('Quota exceeded');
+
+            expect(mockWallet.createAction).toHaveBeenCalledTimes(2);
+            expect(mockWallet.relinquishOutput).not.toHaveBeenCalled();
+            expect(listener).toHaveBeenCalledTimes(2);
+            expect(listener).toHaveBeenNthCalledWith(1, expect.objectContaining({ type: 'set', newOutpoints: ['spendTx.0'] }));
+            expect(listener).toHaveBeenNthCalledWith(2, expect.objectContaining({ type: 'remove' }));
+        });
+
+        it('should re-check stale entries and reuse them if the outpoint is unchanged', async () => {
+            listToken('a.0', 'cached');
+            await kvStore.get(testKey);
+
+            now += 5000;
+            listToken('a.0', 'cached');
+            await expect(kvStore.get(testKey)).resolves.toBe('cached');
+
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+            expect(mockWallet.decrypt).toHaveBeenCalledTimes(1);
+            // The re-check renewed the entry
+            now += 4999;
+            await kvStore.get(testKey);
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(2);
+        });
+
+        it('should read again when the cached outpoint has been replaced', async () => {
+            listToken('a.0', 'old');
+            await kvStore.get(testKey);
+
+            now += 5000;
+            listToken('b.0', 'new');
+            await expect(kvStore.get(testKey)).resolves.toBe('new');
+            expect(mockWallet.decrypt).toHaveBeenCalledTimes(2);
+        });
+
+        it('should drop entries whose outpoint is no longer listed', async () => {
+            listToken('a.0', 'old');
+            await kvStore.get(testKey);
+
+            now += 5000;
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [], totalOutputs: 0 } as any);
+            await expect(kvStore.get(testKey, 'gone')).resolves.toBe('gone');
+
+            listToken('c.0', 'back');
+            await expect(kvStore.get(testKey)).resolves.toBe('back');
+        });
+
+        it('should update the cache on set and invalidate it on remove', async () => {
+            mockWallet.encrypt.mockImplementation(async ({ plaintext }) => ({ ciphertext: plaintext }));
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [], totalOutputs: 0, BEEF: undefined });
+            mockWallet.createAction.mockResolvedValue({ txid: 'setTxId' } as CreateActionResult);
+            await kvStore.set(testKey, 'written');
+
+            await expect(kvStore.get(testKey)).resolves.toBe('written');
+            expect(mockWallet.listOutputs).toHaveBeenCalledTimes(1);
+
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [{ outpoint: 'setTxId.0' }], totalOutputs: 1, BEEF: [] } as any);
+            mockWallet.createAction.mockResolvedValue({ signableTransaction: { reference: 'ref', tx: [] } } as CreateActionResult);
+            mockWallet.signAction.mockResolvedValue({ txid: 'removeTxId' } as SignActionResult);
+            await kvStore.remove(testKey);
+
+            mockWallet.listOutputs.mockResolvedValueOnce({ outputs: [], totalOutputs: 0 } as any);
+            await expect(kvStore.get(testKey)).resolves.toBeUndefined();
+        });
+
+        it('should use a pluggable backend, namespacing keys by context', async () => {
+            const backend = {
+                get: jest.fn().mockResolvedValue({ outpoint: 'a.0', value: 'from backend', cachedAt: now }),
+                set: jest.fn(),
+                delete: jest.fn(),
+                clear: jest.fn()
+            };
+            kvStore = new localKVStore(mockWallet, testContext, true, { cache: { backend } });
+
+            await expect(kvStore.get(testKey)).resolves.toBe('from backend');
+            expect(backend.get).toHaveBeenCalledWith(JSON.stringify([testContext, 'utf8', true, testKey]));
+            expect(mockWallet.listOutputs).not.toHaveBeenCalled();
+        });
+
+        it('should not share cached values between stores that read them differently', async () => {
+            const backend = new MemoryLRUCache();
+            kvStore = new localKVStore(mockWallet, testContext, true, { cache: { backend } });
+            listToken('a.0', 'text');
+            await expect(kvStore.get(testKey)).resolves.toBe('text');
+
+            const jsonStore = new localKVStore(mockWallet, testContext, true, { codec: jsonCodec, cache: { backend } });
+            listToken('a.0', 'text');
+            await expect(jsonStore.get(testKey)).rejects.toThrow(
+                `The value for ${testKey} was written with the utf8 codec, but this store reads values with the json codec.`
+            );
+        });
+
+        it('should evict the least recently used entry from a full MemoryLRUCache', () => {
+            const cache = new MemoryLRUCache(2);
+            cache.set('a', { outpoint: 'a.0', value: 1, cachedAt: 0 });
+            cache.set('b', { outpoint: 'b.0', value: 2, cachedAt: 0 });
+            cache.get('a');
+            cache.set('c', { outpoint: 'c.0', value: 3, cachedAt: 0 });
+
+            expect(cache.get('b')).toBeUndefined();
+            expect(cache.get('a')).toEqual({ outpoint: 'a.0', value: 1, cachedAt: 0 });
+            expect(cache.get('c')).toEqual({ outpoint: 'c.0', value: 3, cachedAt: 0 });
+        });
+    });
+});
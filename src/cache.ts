@@ -0,0 +1,107 @@
+import { OutpointString } from "@bsv/sdk"
+
+/**
+ * A cached value together with the outpoint of the token it was read from.
+ */
+export interface KVStoreCacheEntry {
+  outpoint: OutpointString
+  value: unknown
+  /** When the entry was written or last confirmed against the wallet, in milliseconds since the epoch. */
+  cachedAt: number
+  /** When the entry expires, in milliseconds since the epoch, if it was written with an expiry. */
+  expiresAt?: number
+}
+
+/**
+ * Storage for cached key-value entries. Methods may be synchronous or asynchronous,
+ * so that persistent backends such as IndexedDB or files can be plugged in.
+ */
+export interface KVStoreCacheBackend {
+  get: (key: string) => KVStoreCacheEntry | undefined | Promise<KVStoreCacheEntry | undefined>
+  set: (key: string, entry: KVStoreCacheEntry) => void | Promise<void>
+  delete: (key: string) => void | Promise<void>
+  clear: () => void | Promise<void>
+}
+
+/**
+ * Options enabling the read-through cache of a LocalKVStore.
+ */
+export interface KVStoreCacheOptions {
+  /** Where cached entries are kept. Defaults to a new MemoryLRUCache. */
+  backend?: KVStoreCacheBackend
+  /** How long an entry is trusted without asking the wallet, in milliseconds. Defaults to 30000. */
+  ttl?: number
+}
+
+/**
+ * An in-memory cache backend that evicts the least recently used entry once full.
+ * Cached values are returned as they are, so mutating a returned object changes the cached copy.
+ */
+export default class MemoryLRUCache implements KVStoreCacheBackend {
+  /**
+   * The cached entries, from least to most recently used.
+   * @private
+   * @readonly
+   */
+  private readonly entries: Map<string, KVStoreCacheEntry> = new Map()
+  /**
+   * The maximum number of entries to keep.
+   * @private
+   * @readonly
+   */
+  private readonly maxEntries: number
+
+  /**
+   * Creates an instance of the MemoryLRUCache.
+   *
+   * @param {number} [maxEntries=1000] - The maximum number of entries to keep.
+   */
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries
+  }
+
+  /**
+   * Returns the entry for a key, marking it as the most recently used.
+   *
+   * @param {string} key - The cache key.
+   * @returns {KVStoreCacheEntry | undefined} The entry, or undefined if the key is not cached.
+   */
+  get(key: string): KVStoreCacheEntry | undefined {
+    const entry = this.entries.get(key)
+    if (entry !== undefined) {
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+    }
+    return entry
+  }
+
+  /**
+   * Stores the entry for a key as the most recently used, evicting the least recently used entry if the cache is full.
+   *
+   * @param {string} key - The cache key.
+   * @param {KVStoreCacheEntry} entry - The entry to store.
+   */
+  set(key: string, entry: KVStoreCacheEntry): void {
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value!)
+    }
+  }
+
+  /**
+   * Removes the entry for a key, if there is one.
+   *
+   * @param {string} key - The cache key.
+   */
+  delete(key: string): void {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear(): void {
+    this.entries.clear()
+  }
+}
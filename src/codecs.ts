@@ -0,0 +1,42 @@
+import { Utils } from "@bsv/sdk"
+
+/**
+ * Converts values to and from the bytes stored in a key-value token.
+ * The name is recorded in every token written with the codec, so that reading
+ * a value with a different codec fails with a clear error instead of returning garbage.
+ */
+export interface KVStoreCodec<T> {
+  /** A unique name for the codec, recorded in the tokens it writes. */
+  name: string
+  /** Converts a value into the bytes to store. */
+  encode: (value: T) => number[]
+  /** Converts stored bytes back into a value. Throws if the bytes are not a valid encoding. */
+  decode: (bytes: number[]) => T
+}
+
+/**
+ * Stores strings as UTF-8. This is the default codec.
+ */
+export const utf8Codec: KVStoreCodec<string> = {
+  name: 'utf8',
+  encode: value => Utils.toArray(value, 'utf8'),
+  decode: bytes => Utils.toUTF8(bytes)
+}
+
+/**
+ * Stores any JSON-serializable value as UTF-8 encoded JSON.
+ */
+export const jsonCodec: KVStoreCodec<any> = {
+  name: 'json',
+  encode: value => Utils.toArray(JSON.stringify(value), 'utf8'),
+  decode: bytes => JSON.parse(Utils.toUTF8(bytes))
+}
+
+/**
+ * Stores raw bytes as they are. Values read back are always number arrays.
+ */
+export const binaryCodec: KVStoreCodec<number[] | Uint8Array> = {
+  name: 'binary',
+  encode: value => Array.from(value),
+  decode: bytes => bytes
+}
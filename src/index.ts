@@ -1 +1,9 @@
 export { default as LocalKVStore } from './LocalKVStore'
+export type { LocalKVStoreConfig, KVStoreListOptions, KVStoreEntry, KVStoreHistoryEntry, KVStoreChangeEvent, KVStoreChangeListener, KVStoreBatchOperation, KVStoreBatchResult, KVStoreConflictCandidate, KVStoreConflictPolicy, KVStoreRepairReport, KVStoreSharedToken, KVStoreSnapshot, KVStoreMetadata, KVStoreSetOptions } from './LocalKVStore'
+export { utf8Codec, jsonCodec, binaryCodec } from './codecs'
+export type { KVStoreCodec } from './codecs'
+export { default as MemoryLRUCache } from './cache'
+export type { KVStoreCacheBackend, KVStoreCacheEntry, KVStoreCacheOptions } from './cache'
+export { default as GlobalKVStore } from './GlobalKVStore'
+export type { GlobalKVStoreConfig, GlobalKVStoreQuery, GlobalKVStoreResolver, GlobalKVToken } from './GlobalKVStore'
+export { default as MemoryOverlay } from './MemoryOverlay'